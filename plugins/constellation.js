@@ -0,0 +1,75 @@
+import fs from "node:fs";
+import path from "node:path";
+import { ContentError } from "./content-error.js";
+import { findNode } from "./locales.js";
+
+// ============================================================
+// CONSTELLATION — edges between related links
+// ============================================================
+// content/constellation.json connects any two sections or links, across
+// sections, by id path; the constellation toggle draws each edge as an arc
+// between the two spheres:
+//
+//   { "edges": [{ "id": "making", "from": "art/process",
+//                 "to": "dev/projects", "label": "Making things" }] }
+//
+// `label` is optional; other locales translate it by the edge's `id`, under
+// `constellation` in their locale file (see locales.js). The file is
+// optional too: without it there is no constellation.
+// ============================================================
+
+// Same form as section and link ids
+const ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+export function readConstellation(file, root, sections) {
+  const rel = path.relative(root, file);
+  if (!fs.existsSync(file)) return [];
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new ContentError(rel, `invalid JSON — ${err.message}`);
+  }
+  if (!config || !Array.isArray(config.edges))
+    throw new ContentError(rel, "edges must be an array");
+
+  const seen = new Set();
+  const ids = new Set();
+  return config.edges.map((edge, i) => {
+    const where = `edges[${i}].`;
+    if (!edge || typeof edge !== "object")
+      throw new ContentError(rel, `${where.slice(0, -1)} must be an object`);
+    if (typeof edge.id !== "string" || !ID_RE.test(edge.id))
+      throw new ContentError(
+        rel,
+        `${where}id must be lowercase letters, digits and dashes`,
+      );
+    if (ids.has(edge.id))
+      throw new ContentError(rel, `${where}id "${edge.id}" is used twice`);
+    ids.add(edge.id);
+    for (const key of ["from", "to"]) {
+      if (typeof edge[key] !== "string" || !edge[key].trim())
+        throw new ContentError(rel, `${where}${key} is required`);
+      if (!findNode(sections, edge[key]))
+        throw new ContentError(
+          rel,
+          `${where}${key} "${edge[key]}" is not a section or link`,
+        );
+    }
+    if (edge.from === edge.to)
+      throw new ContentError(rel, `${where}to must differ from from`);
+    if (edge.label !== undefined && typeof edge.label !== "string")
+      throw new ContentError(rel, `${where}label must be a string`);
+
+    // Edges have no direction, so a → b and b → a are the same edge
+    const ends = [edge.from, edge.to].sort().join(" ");
+    if (seen.has(ends))
+      throw new ContentError(
+        rel,
+        `${where.slice(0, -1)} repeats ${edge.from} ↔ ${edge.to}`,
+      );
+    seen.add(ends);
+    const { id, from, to, label } = edge;
+    return label === undefined ? { id, from, to } : { id, from, to, label };
+  });
+}
@@ -0,0 +1,93 @@
+// ============================================================
+// CONTACT MOCK — dev-only stand-in for the contact form endpoint
+// ============================================================
+// Serves POST /api/contact (the default VITE_CONTACT_ENDPOINT) during
+// `npm run dev`: validates like a real backend, rate-limits per client and
+// logs accepted messages to the terminal instead of sending them. Add
+// "fail" to a message to exercise the form's error state.
+// ============================================================
+
+const ROUTE = "/api/contact";
+const WINDOW_MS = 10 * 60 * 1000;
+const MAX_PER_WINDOW = 5;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+      if (raw.length > 64 * 1024) reject(new Error("payload too large"));
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(raw || "{}"));
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+export default function contactMock() {
+  const hits = new Map(); // client address -> recent submit timestamps
+
+  return {
+    name: "contact-mock",
+    apply: "serve",
+
+    configureServer(server) {
+      server.middlewares.use(ROUTE, async (req, res) => {
+        if (req.method !== "POST")
+          return send(res, 405, { error: "Method not allowed" });
+
+        const client = req.socket.remoteAddress;
+        const now = Date.now();
+        const recent = (hits.get(client) || []).filter(
+          (t) => now - t < WINDOW_MS,
+        );
+        if (recent.length >= MAX_PER_WINDOW)
+          return send(res, 429, {
+            error: "Too many messages — try again later.",
+          });
+
+        let body;
+        try {
+          body = await readJson(req);
+        } catch {
+          return send(res, 400, { error: "Invalid JSON" });
+        }
+        const { name, email, message } = body ?? {};
+        // Missing fields are a 422 below; anything but a string is malformed
+        if (
+          [name, email, message].some(
+            (v) => v !== undefined && typeof v !== "string",
+          )
+        )
+          return send(res, 400, {
+            error: "Name, email and message must be strings.",
+          });
+        if (!name?.trim() || !EMAIL_RE.test(email || "") || !message?.trim())
+          return send(res, 422, {
+            error: "Name, email and message are required.",
+          });
+        if (/\bfail\b/i.test(message))
+          return send(res, 500, { error: "Mock failure requested." });
+
+        hits.set(client, [...recent, now]);
+        server.config.logger.info(
+          `\n[contact-mock] ${name} <${email}>\n${message}\n`,
+          { timestamp: true },
+        );
+        setTimeout(() => send(res, 200, { ok: true }), 600);
+      });
+    },
+  };
+}
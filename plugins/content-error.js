@@ -0,0 +1,9 @@
+// Content problems surface as `<file>: <message>` in build errors and the
+// dev overlay, so every check names the file it was reading.
+export class ContentError extends Error {
+  constructor(file, message) {
+    super(`${file}: ${message}`);
+    this.name = "ContentError";
+    this.file = file;
+  }
+}
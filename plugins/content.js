@@ -0,0 +1,424 @@
+import fs from "node:fs";
+import path from "node:path";
+import { readConstellation } from "./constellation.js";
+import { ContentError } from "./content-error.js";
+import {
+  buildImageUrl,
+  devImageUrl,
+  galleryFile,
+  galleryMiddleware,
+  readGallery,
+  resolveImage,
+} from "./gallery.js";
+import { loadLocales, localeFiles } from "./locales.js";
+import { renderMarkdown } from "./markdown.js";
+import { readResume } from "./resume.js";
+import { readSchedule } from "./schedule.js";
+import { SCENE_ROUTE, readScene, sceneMiddleware } from "./scene.js";
+
+// ============================================================
+// PORTFOLIO CONTENT — Vite plugin
+// ============================================================
+// Reads one JSON file per section from content/sections (sorted by file
+// name, so prefix with 01-, 02-, …), validates it, and serves the result as
+// `virtual:portfolio-content`. Links may nest their own `links` to any
+// depth. A link's optional Markdown body lives at
+// content/sections/<section-id>/<link-id>.md and is rendered to sanitized
+// HTML as `link.body`; a <link-id>.gallery.json manifest beside it turns
+// the link into an image gallery (see gallery.js), and <link-id>.resume.json
+// into a structured resume (see resume.js), and <link-id>.ics into a class
+// schedule (see schedule.js). Translations in content/locales are merged
+// in by locales.js, content/scene.json tunes the 3D scene (see scene.js)
+// and content/constellation.json relates links across sections (see
+// constellation.js). In dev, edits are pushed to the client as a custom HMR
+// event instead of reloading the page.
+// ============================================================
+
+const VIRTUAL_ID = "virtual:portfolio-content";
+const RESOLVED_ID = "\0" + VIRTUAL_ID;
+const UPDATE_EVENT = "portfolio-content:update";
+
+const ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+// Six digits only: the UI appends a two-digit alpha to section colors
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+// Built-in forms a link can embed with `"form": "<name>"`
+const FORMS = ["contact"];
+// content (default) opens the panel; the rest point at `url`
+const LINK_TYPES = ["content", "external", "mailto", "download"];
+const URL_RULES = {
+  external: [/^https?:\/\//, "an http(s) URL"],
+  mailto: [/^mailto:\S+@\S+/, "a mailto: URL"],
+  download: [/\S/, "a file path or URL"],
+};
+
+const I18N_GENERATED =
+  "i18n is generated from content/locales — don't set it in JSON";
+
+function requireString(obj, key, where, file) {
+  if (typeof obj[key] !== "string" || !obj[key].trim())
+    throw new ContentError(file, `${where}${key} is required`);
+}
+
+function requireNumber(obj, key, where, file) {
+  if (typeof obj[key] !== "number" || !Number.isFinite(obj[key]))
+    throw new ContentError(file, `${where}${key} must be a number`);
+}
+
+function validateSection(section, file) {
+  if (!section || typeof section !== "object" || Array.isArray(section))
+    throw new ContentError(file, "expected a section object");
+
+  requireString(section, "id", "", file);
+  if (!ID_RE.test(section.id))
+    throw new ContentError(
+      file,
+      `id "${section.id}" must be lowercase letters, digits and dashes`,
+    );
+  requireString(section, "label", "", file);
+  requireString(section, "color", "", file);
+  if (!COLOR_RE.test(section.color))
+    throw new ContentError(
+      file,
+      `color "${section.color}" is not a #rrggbb hex color`,
+    );
+  requireNumber(section, "orbitOffset", "", file);
+  requireNumber(section, "orbitSpeed", "", file);
+  if (section.i18n !== undefined) throw new ContentError(file, I18N_GENERATED);
+
+  if (!Array.isArray(section.links) || !section.links.length)
+    throw new ContentError(file, "links must be a non-empty array");
+
+  validateLinks(section.links, "", section.id, file);
+}
+
+// Links nest: a content link may carry its own non-empty `links`, which
+// become its moons. `owner` is the id path used in messages (dev/projects).
+function validateLinks(links, prefix, owner, file) {
+  const seen = new Set();
+  links.forEach((link, i) => {
+    const where = `${prefix}links[${i}].`;
+    if (!link || typeof link !== "object")
+      throw new ContentError(file, `${where.slice(0, -1)} must be an object`);
+    requireString(link, "id", where, file);
+    if (!ID_RE.test(link.id))
+      throw new ContentError(
+        file,
+        `${where}id "${link.id}" must be lowercase letters, digits and dashes`,
+      );
+    if (seen.has(link.id))
+      throw new ContentError(file, `duplicate link id "${link.id}"`);
+    seen.add(link.id);
+    requireString(link, "title", where, file);
+    requireString(link, "subtitle", where, file);
+    if (link.description !== undefined && typeof link.description !== "string")
+      throw new ContentError(file, `${where}description must be a string`);
+    const type = link.type ?? "content";
+    if (!LINK_TYPES.includes(type))
+      throw new ContentError(
+        file,
+        `${where}type "${type}" must be one of: ${LINK_TYPES.join(", ")}`,
+      );
+    if (type === "content") {
+      for (const key of ["url", "cta", "openDirectly"]) {
+        if (link[key] !== undefined)
+          throw new ContentError(
+            file,
+            `${where}${key} only applies to external, mailto and download links`,
+          );
+      }
+    } else {
+      const [re, what] = URL_RULES[type];
+      if (typeof link.url !== "string" || !re.test(link.url))
+        throw new ContentError(file, `${where}url must be ${what}`);
+      if (link.cta !== undefined && typeof link.cta !== "string")
+        throw new ContentError(file, `${where}cta must be a string`);
+      if (
+        link.openDirectly !== undefined &&
+        typeof link.openDirectly !== "boolean"
+      )
+        throw new ContentError(
+          file,
+          `${where}openDirectly must be true or false`,
+        );
+    }
+    if (link.form !== undefined && !FORMS.includes(link.form))
+      throw new ContentError(
+        file,
+        `${where}form "${link.form}" must be one of: ${FORMS.join(", ")}`,
+      );
+    if (link.i18n !== undefined)
+      throw new ContentError(file, `${where}${I18N_GENERATED}`);
+    for (const [key, suffix] of Object.entries(LINK_FILES)) {
+      if (link[key] !== undefined)
+        throw new ContentError(
+          file,
+          `${where}${key} is generated from ${owner}/${link.id}${suffix} — don't set it in JSON`,
+        );
+    }
+    if (link.links !== undefined) {
+      if (type !== "content")
+        throw new ContentError(
+          file,
+          `${where}links only apply to content links`,
+        );
+      if (!Array.isArray(link.links) || !link.links.length)
+        throw new ContentError(file, `${where}links must be a non-empty array`);
+      validateLinks(link.links, where, `${owner}/${link.id}`, file);
+    }
+  });
+}
+
+function sectionFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".json"))
+    .sort()
+    .map((name) => path.join(dir, name));
+}
+
+// Per-link files next to the section JSON, e.g. sections/dev/resume.md,
+// keyed by link id. Each fills the link field of the same name. Child links
+// look one folder down, in a folder named after their parent link
+// (sections/dev/projects/portfolio-site.md).
+const LINK_FILES = {
+  body: ".md",
+  gallery: ".gallery.json",
+  resume: ".resume.json",
+  schedule: ".ics",
+};
+
+function linkFiles(linksDir, suffix) {
+  if (!fs.existsSync(linksDir)) return new Map();
+  return new Map(
+    fs
+      .readdirSync(linksDir)
+      .filter((name) => name.endsWith(suffix))
+      .map((name) => [
+        name.slice(0, -suffix.length),
+        path.join(linksDir, name),
+      ]),
+  );
+}
+
+// `ids` is the owner's id path: ["dev"] for a section, ["dev", "projects"]
+// for a link with child links
+async function attachLinkFiles(links, linksDir, ids, root, imageUrl) {
+  const owner = `${ids.length > 1 ? "link" : "section"} "${ids.join("/")}"`;
+  for (const suffix of Object.values(LINK_FILES)) {
+    for (const [linkId, file] of linkFiles(linksDir, suffix)) {
+      if (!links.some((l) => l.id === linkId))
+        throw new ContentError(
+          path.relative(root, file),
+          `no link "${linkId}" in ${owner}`,
+        );
+    }
+  }
+  const bodies = linkFiles(linksDir, LINK_FILES.body);
+  const resumes = linkFiles(linksDir, LINK_FILES.resume);
+  const schedules = linkFiles(linksDir, LINK_FILES.schedule);
+  for (const link of links) {
+    const file = bodies.get(link.id);
+    if (file) link.body = await renderMarkdown(file, root, imageUrl);
+
+    const manifest = galleryFile(linksDir, link.id);
+    if (fs.existsSync(manifest)) {
+      link.gallery = await Promise.all(
+        readGallery(manifest, root).map((image) =>
+          resolveImage(image, imageUrl),
+        ),
+      );
+    }
+
+    const resume = resumes.get(link.id);
+    if (resume) link.resume = readResume(resume, root);
+
+    const schedule = schedules.get(link.id);
+    if (schedule) link.schedule = readSchedule(schedule, root);
+
+    // Recurse even without child links, so stray files are still reported
+    await attachLinkFiles(
+      link.links ?? [],
+      path.join(linksDir, link.id),
+      [...ids, link.id],
+      root,
+      imageUrl,
+    );
+  }
+}
+// Every file a content build read, for watch registration
+function watchedFiles(dir, root, sections) {
+  const files = sectionFiles(dir);
+  const collect = (links, linksDir) => {
+    for (const suffix of Object.values(LINK_FILES))
+      files.push(...linkFiles(linksDir, suffix).values());
+    links.forEach((link) => {
+      const manifest = galleryFile(linksDir, link.id);
+      if (fs.existsSync(manifest))
+        files.push(...readGallery(manifest, root).map((i) => i.source));
+      if (link.links) collect(link.links, path.join(linksDir, link.id));
+    });
+  };
+  sections.forEach((section) =>
+    collect(section.links, path.join(dir, section.id)),
+  );
+  return files;
+}
+
+export async function loadSections(
+  dir,
+  root = process.cwd(),
+  imageUrl = devImageUrl(root),
+) {
+  const files = sectionFiles(dir);
+  if (!files.length)
+    throw new ContentError(
+      path.relative(root, dir),
+      "no section files (*.json) found",
+    );
+
+  const owners = new Map();
+  const sections = [];
+  for (const file of files) {
+    const rel = path.relative(root, file);
+    let section;
+    try {
+      section = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      throw new ContentError(rel, `invalid JSON — ${err.message}`);
+    }
+    validateSection(section, rel);
+    if (owners.has(section.id))
+      throw new ContentError(
+        rel,
+        `section id "${section.id}" is already used by ${owners.get(section.id)}`,
+      );
+    owners.set(section.id, rel);
+    await attachLinkFiles(
+      section.links,
+      path.join(dir, section.id),
+      [section.id],
+      root,
+      imageUrl,
+    );
+    sections.push(section);
+  }
+  return sections;
+}
+
+export default function portfolioContent({
+  dir = "content/sections",
+  localesDir = "content/locales",
+  defaultLocale = "en",
+  sceneConfig = "content/scene.json",
+  constellationConfig = "content/constellation.json",
+} = {}) {
+  let root;
+  let base;
+  let isBuild;
+  let contentDir;
+  let localeDir;
+  let sceneFile;
+  let constellationFile;
+
+  const isContentFile = (file) =>
+    [sceneFile, constellationFile].includes(path.resolve(file)) ||
+    [contentDir, localeDir].some((d) =>
+      path.resolve(file).startsWith(d + path.sep),
+    );
+
+  const loadContent = async (imageUrl) => {
+    const sections = await loadSections(contentDir, root, imageUrl);
+    const constellation = readConstellation(constellationFile, root, sections);
+    const locales = await loadLocales(
+      localeDir,
+      sections,
+      defaultLocale,
+      root,
+      constellation,
+      imageUrl,
+    );
+    const scene = readScene(sceneFile, root);
+    return { sections, locales, defaultLocale, scene, constellation };
+  };
+
+  return {
+    name: "portfolio-content",
+
+    configResolved(config) {
+      root = config.root;
+      base = config.base;
+      isBuild = config.command === "build";
+      contentDir = path.resolve(root, dir);
+      localeDir = path.resolve(root, localesDir);
+      sceneFile = path.resolve(root, sceneConfig);
+      constellationFile = path.resolve(root, constellationConfig);
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_ID) return;
+      this.addWatchFile(contentDir);
+      this.addWatchFile(localeDir);
+      try {
+        const content = await loadContent(
+          isBuild ? buildImageUrl(this, base) : devImageUrl(root),
+        );
+        [
+          ...watchedFiles(contentDir, root, content.sections),
+          ...localeFiles(localeDir),
+          sceneFile,
+          constellationFile,
+        ].forEach((file) => this.addWatchFile(file));
+        return Object.entries({ ...content, sceneRoute: SCENE_ROUTE })
+          .map(
+            ([name, value]) =>
+              `export const ${name} = ${JSON.stringify(value)};`,
+          )
+          .join("\n");
+      } catch (err) {
+        this.error(err.message);
+      }
+    },
+
+    configureServer(server) {
+      server.middlewares.use(galleryMiddleware(root));
+      server.middlewares.use(sceneMiddleware(sceneFile, root));
+      server.watcher.add([contentDir, localeDir, sceneFile, constellationFile]);
+      const onContentChange = async (file) => {
+        if (!isContentFile(file)) return;
+        const mod = server.moduleGraph.getModuleById(RESOLVED_ID);
+        if (mod) server.moduleGraph.invalidateModule(mod);
+        try {
+          server.ws.send({
+            type: "custom",
+            event: UPDATE_EVENT,
+            data: await loadContent(devImageUrl(root)),
+          });
+        } catch (err) {
+          server.ws.send({
+            type: "error",
+            err: {
+              message: err.message,
+              stack: "",
+              id: err.file,
+              plugin: "portfolio-content",
+            },
+          });
+        }
+      };
+      server.watcher.on("add", onContentChange);
+      server.watcher.on("change", onContentChange);
+      server.watcher.on("unlink", onContentChange);
+    },
+
+    // Content edits are pushed through UPDATE_EVENT above; skip Vite's
+    // default module propagation so the page (and the WebGL scene) survive
+    handleHotUpdate({ file }) {
+      if (isContentFile(file)) return [];
+    },
+  };
+}
@@ -0,0 +1,149 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import sharp from "sharp";
+import { ContentError } from "./content-error.js";
+
+// ============================================================
+// GALLERY — image manifests and responsive variants
+// ============================================================
+// A link becomes a gallery when content/sections/<section-id>/ (or, for a
+// child link, its parent link's folder below that) holds a
+// <link-id>.gallery.json manifest:
+//
+//   { "images": [{ "src": "gallery/tide.jpg", "title": "Tide",
+//                  "alt": "…", "medium": "Screen print", "year": 2023,
+//                  "dimensions": "50 × 70 cm" }] }
+//
+// `src` is relative to the manifest. Each image is resized to
+// GALLERY_WIDTHS (never upscaled) as WebP: on demand through a dev
+// middleware, and emitted as hashed assets at build time.
+// ============================================================
+
+export const GALLERY_WIDTHS = [320, 640, 1280, 2048];
+export const DEV_IMAGE_PREFIX = "/@portfolio-image/";
+
+export const IMAGE_EXT_RE = /\.(jpe?g|png|webp|tiff?|avif)$/i;
+
+export function galleryFile(linksDir, linkId) {
+  return path.join(linksDir, `${linkId}.gallery.json`);
+}
+
+function optionalString(image, key, where, file) {
+  if (image[key] !== undefined && typeof image[key] !== "string")
+    throw new ContentError(file, `${where}${key} must be a string`);
+}
+
+// Parse and validate a manifest; image paths come back absolute
+export function readGallery(file, root) {
+  const rel = path.relative(root, file);
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new ContentError(rel, `invalid JSON — ${err.message}`);
+  }
+  if (!manifest || !Array.isArray(manifest.images))
+    throw new ContentError(rel, "images must be an array");
+
+  return manifest.images.map((image, i) => {
+    const where = `images[${i}].`;
+    for (const key of ["src", "title", "alt"]) {
+      if (typeof image[key] !== "string" || !image[key].trim())
+        throw new ContentError(rel, `${where}${key} is required`);
+    }
+    optionalString(image, "medium", where, rel);
+    optionalString(image, "dimensions", where, rel);
+    if (image.year !== undefined && !Number.isInteger(image.year))
+      throw new ContentError(rel, `${where}year must be a whole number`);
+    if (!IMAGE_EXT_RE.test(image.src))
+      throw new ContentError(rel, `${where}src "${image.src}" is not an image`);
+    const source = path.resolve(path.dirname(file), image.src);
+    if (!fs.existsSync(source))
+      throw new ContentError(rel, `${where}src "${image.src}" does not exist`);
+    return { ...image, source };
+  });
+}
+
+function variantWidths(width) {
+  const largest = Math.min(width, GALLERY_WIDTHS.at(-1));
+  return [...GALLERY_WIDTHS.filter((w) => w < largest), largest];
+}
+
+export function resizeImage(source, width) {
+  return sharp(source)
+    .rotate()
+    .resize({ width })
+    .webp({ quality: 82 })
+    .toBuffer();
+}
+
+// Resolve one manifest entry to what the client renders. `urlFor` maps a
+// (source, width) pair to a URL and may emit the file as a side effect.
+export async function resolveImage(image, urlFor) {
+  const meta = await sharp(image.source).metadata();
+  // EXIF orientations 5–8 are rotated a quarter turn
+  const [width, height] =
+    meta.orientation >= 5
+      ? [meta.height, meta.width]
+      : [meta.width, meta.height];
+  const widths = variantWidths(width);
+  const urls = await Promise.all(widths.map((w) => urlFor(image.source, w)));
+  const { source: _source, ...fields } = image;
+  return {
+    ...fields,
+    src: urls.at(-1),
+    srcset: urls.map((url, i) => `${url} ${widths[i]}w`).join(", "),
+    width,
+    height,
+  };
+}
+
+export function devImageUrl(root) {
+  return (source, width) =>
+    `${DEV_IMAGE_PREFIX}${encodeURI(path.relative(root, source).split(path.sep).join("/"))}?w=${width}`;
+}
+
+// Emits hashed WebP variants into the bundle; call from a Rollup hook
+export function buildImageUrl(ctx, base) {
+  return async (source, width) => {
+    const buffer = await resizeImage(source, width);
+    const hash = crypto
+      .createHash("sha256")
+      .update(buffer)
+      .digest("hex")
+      .slice(0, 8);
+    const name = path.basename(source).replace(/\.[^.]+$/, "");
+    const fileName = `assets/gallery/${name}-${width}-${hash}.webp`;
+    ctx.emitFile({ type: "asset", fileName, source: buffer });
+    return base + fileName;
+  };
+}
+
+// Dev server middleware for devImageUrl() links
+export function galleryMiddleware(root) {
+  return async (req, res, next) => {
+    if (!req.url?.startsWith(DEV_IMAGE_PREFIX)) return next();
+    const url = new URL(req.url, "http://localhost");
+    const rel = decodeURI(url.pathname.slice(DEV_IMAGE_PREFIX.length));
+    const source = path.resolve(root, rel);
+    const width = Number(url.searchParams.get("w"));
+    if (
+      !source.startsWith(root + path.sep) ||
+      !IMAGE_EXT_RE.test(source) ||
+      !Number.isInteger(width) ||
+      width < 1 ||
+      width > GALLERY_WIDTHS.at(-1) ||
+      !fs.existsSync(source)
+    )
+      return next();
+    try {
+      const buffer = await resizeImage(source, width);
+      res.setHeader("Content-Type", "image/webp");
+      res.setHeader("Cache-Control", "no-cache");
+      res.end(buffer);
+    } catch (err) {
+      next(err);
+    }
+  };
+}
@@ -0,0 +1,289 @@
+import fs from "node:fs";
+import path from "node:path";
+import { ContentError } from "./content-error.js";
+import { devImageUrl } from "./gallery.js";
+import { renderMarkdown } from "./markdown.js";
+
+// ============================================================
+// LOCALES — UI strings and content translations per language
+// ============================================================
+// content/locales/<code>.json holds one language:
+//
+//   { "name": "Español", "dir": "ltr",
+//     "ui": { "hint": "Arrastra para explorar", … },
+//     "content": { "art": { "label": "Arte" },
+//                  "art/gallery": { "title": "Galería", … } },
+//     "constellation": { "making-things": { "label": "Hacer cosas" } } }
+//
+// The default locale's file defines every UI string and has no `content`:
+// content/sections is already written in it. Other locales may leave UI
+// strings out (the default's are used) and translate a section's label or
+// a link's title, subtitle, description and cta by id path. Translated
+// Markdown bodies mirror content/sections below content/locales/<code>/.
+// Constellation edge labels are translated by edge id. Translations are
+// attached to their node or edge as `i18n[code]`.
+// ============================================================
+
+const CODE_RE = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+const DIRS = ["ltr", "rtl"];
+const SECTION_FIELDS = ["label"];
+const LINK_FIELDS = ["title", "subtitle", "description", "cta"];
+
+function isMessage(value) {
+  if (typeof value === "string") return true;
+  // Plural forms, picked with Intl.PluralRules: { "one": …, "other": … }
+  return (
+    !!value &&
+    typeof value === "object" &&
+    typeof value.other === "string" &&
+    Object.values(value).every((form) => typeof form === "string")
+  );
+}
+
+function readLocaleFile(file, root) {
+  const rel = path.relative(root, file);
+  let locale;
+  try {
+    locale = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new ContentError(rel, `invalid JSON — ${err.message}`);
+  }
+  if (!locale || typeof locale !== "object" || Array.isArray(locale))
+    throw new ContentError(rel, "expected a locale object");
+  if (typeof locale.name !== "string" || !locale.name.trim())
+    throw new ContentError(rel, "name is required");
+  if (locale.dir !== undefined && !DIRS.includes(locale.dir))
+    throw new ContentError(rel, `dir must be one of: ${DIRS.join(", ")}`);
+  if (!locale.ui || typeof locale.ui !== "object")
+    throw new ContentError(rel, "ui must be an object of strings");
+  for (const [key, value] of Object.entries(locale.ui)) {
+    if (!isMessage(value))
+      throw new ContentError(
+        rel,
+        `ui.${key} must be a string or an object of plural forms with "other"`,
+      );
+  }
+  if (
+    locale.content !== undefined &&
+    (!locale.content ||
+      typeof locale.content !== "object" ||
+      Array.isArray(locale.content))
+  )
+    throw new ContentError(rel, "content must be an object");
+  if (
+    locale.constellation !== undefined &&
+    (!locale.constellation ||
+      typeof locale.constellation !== "object" ||
+      Array.isArray(locale.constellation))
+  )
+    throw new ContentError(rel, "constellation must be an object");
+  return locale;
+}
+
+// "dev/projects/portfolio-site" → that node, or undefined
+export function findNode(sections, idPath) {
+  let node;
+  let children = sections;
+  for (const id of idPath.split("/")) {
+    node = children?.find((n) => n.id === id);
+    if (!node) return undefined;
+    children = node.links;
+  }
+  return node;
+}
+
+function translateContent(content, sections, code, rel) {
+  for (const [idPath, fields] of Object.entries(content)) {
+    const node = findNode(sections, idPath);
+    if (!node)
+      throw new ContentError(
+        rel,
+        `content["${idPath}"] doesn't match a section or link`,
+      );
+    if (!fields || typeof fields !== "object")
+      throw new ContentError(rel, `content["${idPath}"] must be an object`);
+    const isSection = !idPath.includes("/");
+    const allowed = isSection ? SECTION_FIELDS : LINK_FIELDS;
+    for (const [key, value] of Object.entries(fields)) {
+      if (!allowed.includes(key))
+        throw new ContentError(
+          rel,
+          `content["${idPath}"].${key} can't be translated — use ${allowed.join(", ")}`,
+        );
+      if (typeof value !== "string" || !value.trim())
+        throw new ContentError(
+          rel,
+          `content["${idPath}"].${key} must be a non-empty string`,
+        );
+    }
+    node.i18n = { ...node.i18n, [code]: { ...node.i18n?.[code], ...fields } };
+  }
+}
+
+function translateEdges(translations, edges, code, rel) {
+  for (const [id, fields] of Object.entries(translations)) {
+    const edge = edges.find((e) => e.id === id);
+    if (!edge)
+      throw new ContentError(
+        rel,
+        `constellation["${id}"] doesn't match an edge in constellation.json`,
+      );
+    if (!fields || typeof fields !== "object")
+      throw new ContentError(rel, `constellation["${id}"] must be an object`);
+    for (const [key, value] of Object.entries(fields)) {
+      if (key !== "label")
+        throw new ContentError(
+          rel,
+          `constellation["${id}"].${key} can't be translated — use label`,
+        );
+      if (typeof value !== "string" || !value.trim())
+        throw new ContentError(
+          rel,
+          `constellation["${id}"].label must be a non-empty string`,
+        );
+      if (edge.label === undefined)
+        throw new ContentError(
+          rel,
+          `constellation["${id}"] has no label to translate`,
+        );
+    }
+    edge.i18n = { ...edge.i18n, [code]: { ...edge.i18n?.[code], ...fields } };
+  }
+}
+
+// Translated bodies: content/locales/es/art/process.md for art/process
+async function translateBodies(nodes, dir, ids, code, root, imageUrl) {
+  if (!fs.existsSync(dir)) return;
+  for (const name of fs.readdirSync(dir)) {
+    const file = path.join(dir, name);
+    if (fs.statSync(file).isDirectory()) {
+      if (!nodes.some((n) => n.id === name))
+        throw new ContentError(
+          path.relative(root, file),
+          `no ${ids.length ? "link" : "section"} "${[...ids, name].join("/")}"`,
+        );
+      continue;
+    }
+    const link = ids.length && nodes.find((n) => `${n.id}.md` === name);
+    if (!link)
+      throw new ContentError(
+        path.relative(root, file),
+        ids.length
+          ? `no link "${name.replace(/\.md$/, "")}" in ${ids.join("/")}`
+          : "bodies go in a folder named after their section",
+      );
+    link.i18n = {
+      ...link.i18n,
+      [code]: {
+        ...link.i18n?.[code],
+        body: await renderMarkdown(file, root, imageUrl),
+      },
+    };
+  }
+  for (const node of nodes) {
+    await translateBodies(
+      node.links ?? [],
+      path.join(dir, node.id),
+      [...ids, node.id],
+      code,
+      root,
+      imageUrl,
+    );
+  }
+}
+
+// Every file under the locales folder, for watch registration
+export function localeFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { recursive: true })
+    .map((name) => path.join(dir, name))
+    .filter((file) => fs.statSync(file).isFile());
+}
+
+// Returns { [code]: { name, dir, ui } }, default locale first, and attaches
+// translations to `sections` and the constellation's `edges`. Images in
+// translated bodies resolve through `imageUrl`, as in loadSections().
+export async function loadLocales(
+  dir,
+  sections,
+  defaultLocale,
+  root,
+  edges = [],
+  imageUrl = devImageUrl(root),
+) {
+  const files = fs.existsSync(dir)
+    ? fs
+        .readdirSync(dir)
+        .filter((name) => name.endsWith(".json"))
+        .sort()
+    : [];
+  const codes = files.map((name) => name.slice(0, -".json".length));
+  if (!codes.includes(defaultLocale))
+    throw new ContentError(
+      path.relative(root, path.join(dir, `${defaultLocale}.json`)),
+      `missing — the default locale "${defaultLocale}" needs a UI string file`,
+    );
+
+  const locales = {};
+  for (const code of [
+    defaultLocale,
+    ...codes.filter((c) => c !== defaultLocale),
+  ]) {
+    const file = path.join(dir, `${code}.json`);
+    const rel = path.relative(root, file);
+    if (!CODE_RE.test(code))
+      throw new ContentError(
+        rel,
+        `"${code}" is not a language code like "es" or "pt-BR"`,
+      );
+    const clash = sections.find((s) => s.id === code);
+    if (clash)
+      throw new ContentError(
+        rel,
+        `locale "${code}" clashes with section "${clash.id}" in URLs`,
+      );
+    const locale = readLocaleFile(file, root);
+    if (code === defaultLocale) {
+      if (locale.content !== undefined)
+        throw new ContentError(
+          rel,
+          `content/sections is already in "${code}" — translate content in other locale files`,
+        );
+      if (locale.constellation !== undefined)
+        throw new ContentError(
+          rel,
+          `constellation.json is already in "${code}" — translate its labels in other locale files`,
+        );
+      if (fs.existsSync(path.join(dir, code)))
+        throw new ContentError(
+          path.relative(root, path.join(dir, code)),
+          `bodies in "${code}" belong in content/sections`,
+        );
+    } else {
+      for (const key of Object.keys(locale.ui)) {
+        if (!(key in locales[defaultLocale].ui))
+          throw new ContentError(
+            rel,
+            `ui.${key} is not a string in ${defaultLocale}.json`,
+          );
+      }
+      translateContent(locale.content ?? {}, sections, code, rel);
+      translateEdges(locale.constellation ?? {}, edges, code, rel);
+      await translateBodies(
+        sections,
+        path.join(dir, code),
+        [],
+        code,
+        root,
+        imageUrl,
+      );
+    }
+    locales[code] = {
+      name: locale.name,
+      dir: locale.dir ?? "ltr",
+      ui: locale.ui,
+    };
+  }
+  return locales;
+}
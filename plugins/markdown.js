@@ -0,0 +1,83 @@
+import fs from "node:fs";
+import path from "node:path";
+import { marked } from "marked";
+import sanitizeHtml from "sanitize-html";
+import { ContentError } from "./content-error.js";
+import { IMAGE_EXT_RE, resolveImage } from "./gallery.js";
+
+// ============================================================
+// MARKDOWN — link bodies rendered at build time
+// ============================================================
+// Output is sanitized HTML safe for dangerouslySetInnerHTML. Images keep
+// their URL in data-src so LinkPanel can load them once the camera has
+// parked; external links open in a new tab. An image path relative to the
+// Markdown file is resized and served like a gallery image (see
+// gallery.js), at its largest size.
+// ============================================================
+
+// No scheme (https:, data:, …), not site-absolute and not a fragment
+const RELATIVE_RE = /^(?![a-z][a-z0-9+.-]*:|[/#])/i;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, "img"],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["data-src", "alt", "title", "width", "height", "loading", "decoding"],
+    code: ["class"],
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  transformTags: {
+    a: (tagName, attribs) => {
+      if (!/^https?:\/\//.test(attribs.href || "")) return { tagName, attribs };
+      return {
+        tagName,
+        attribs: { ...attribs, target: "_blank", rel: "noopener noreferrer" },
+      };
+    },
+    img: (tagName, { src = "", ...attribs }) => {
+      // data-src bypasses allowedSchemes, so reject foreign schemes here
+      const safe =
+        /^https?:\/\//.test(src) || !/^[a-z][a-z0-9+.-]*:/i.test(src);
+      if (!safe || !src) return { tagName, attribs: {} };
+      return {
+        tagName,
+        attribs: {
+          ...attribs,
+          "data-src": src,
+          loading: "lazy",
+          decoding: "async",
+        },
+      };
+    },
+  },
+  exclusiveFilter: (frame) => frame.tag === "img" && !frame.attribs["data-src"],
+};
+
+async function resolveImages(tokens, file, root, imageUrl) {
+  const rel = path.relative(root, file);
+  const images = [];
+  marked.walkTokens(tokens, (token) => {
+    if (token.type === "image" && token.href && RELATIVE_RE.test(token.href))
+      images.push(token);
+  });
+  for (const token of images) {
+    const source = path.resolve(path.dirname(file), decodeURI(token.href));
+    if (!IMAGE_EXT_RE.test(source))
+      throw new ContentError(rel, `image "${token.href}" is not an image`);
+    if (!fs.existsSync(source))
+      throw new ContentError(rel, `image "${token.href}" does not exist`);
+    token.href = (await resolveImage({ source }, imageUrl)).src;
+  }
+}
+
+// `imageUrl` as for gallery images: devImageUrl() or buildImageUrl()
+export async function renderMarkdown(file, root, imageUrl) {
+  const tokens = marked.lexer(fs.readFileSync(file, "utf8"), { gfm: true });
+  await resolveImages(tokens, file, root, imageUrl);
+  const html = marked.parser(tokens, { gfm: true });
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+}
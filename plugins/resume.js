@@ -0,0 +1,71 @@
+import fs from "node:fs";
+import path from "node:path";
+import { ContentError } from "./content-error.js";
+
+// ============================================================
+// RESUME — JSON Resume–style data for a link
+// ============================================================
+// content/sections/<section-id>/<link-id>.resume.json follows the subset of
+// https://jsonresume.org/schema the panel renders: basics, work, education
+// and skills. Dates are ISO "YYYY", "YYYY-MM" or "YYYY-MM-DD"; a missing
+// endDate means the role is current.
+// ============================================================
+
+const DATE_RE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+const SCHEMA = {
+  work: { required: ["name", "position", "startDate"], lists: ["highlights"] },
+  education: { required: ["institution"], lists: ["courses"] },
+  skills: { required: ["name"], lists: ["keywords"] },
+};
+
+function checkEntry(entry, where, { required, lists }, file) {
+  if (!entry || typeof entry !== "object")
+    throw new ContentError(file, `${where} must be an object`);
+  for (const key of required) {
+    if (typeof entry[key] !== "string" || !entry[key].trim())
+      throw new ContentError(file, `${where}.${key} is required`);
+  }
+  for (const key of ["startDate", "endDate"]) {
+    if (entry[key] !== undefined && !DATE_RE.test(entry[key]))
+      throw new ContentError(
+        file,
+        `${where}.${key} "${entry[key]}" must be YYYY, YYYY-MM or YYYY-MM-DD`,
+      );
+  }
+  for (const key of lists) {
+    if (
+      entry[key] !== undefined &&
+      (!Array.isArray(entry[key]) ||
+        entry[key].some((item) => typeof item !== "string"))
+    )
+      throw new ContentError(file, `${where}.${key} must be a list of strings`);
+  }
+}
+
+export function readResume(file, root) {
+  const rel = path.relative(root, file);
+  let resume;
+  try {
+    resume = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new ContentError(rel, `invalid JSON — ${err.message}`);
+  }
+  if (!resume || typeof resume !== "object")
+    throw new ContentError(rel, "expected a resume object");
+  if (!resume.basics || typeof resume.basics.name !== "string")
+    throw new ContentError(rel, "basics.name is required");
+
+  for (const [key, schema] of Object.entries(SCHEMA)) {
+    if (resume[key] === undefined) {
+      resume[key] = [];
+      continue;
+    }
+    if (!Array.isArray(resume[key]))
+      throw new ContentError(rel, `${key} must be an array`);
+    resume[key].forEach((entry, i) =>
+      checkEntry(entry, `${key}[${i}]`, schema, rel),
+    );
+  }
+  return resume;
+}
@@ -0,0 +1,161 @@
+import fs from "node:fs";
+import path from "node:path";
+import { ContentError } from "./content-error.js";
+
+// ============================================================
+// SCENE CONFIG — torus geometry, orbits, camera, lights and flights
+// ============================================================
+// content/scene.json tunes the 3D scene without touching App.jsx:
+//
+//   { "torus": { "radius": 1, "minorRadius": 0.7, "sections": 11,
+//                "spans": 12 },
+//     "lights": { "ambient": 0.6 },
+//     "flights": { "flyHome": "easeOutExpo" } }
+//
+// Every group and key is optional and falls back to its default below. The
+// dev-only tuning panel (open the site with ?tune) edits these values live
+// and saves them back through sceneMiddleware.
+// ============================================================
+
+// Served to the client through the virtual module, for the tuning panel
+export const SCENE_ROUTE = "/@portfolio-scene";
+
+// Easing curves for camera flights, as named in src/flight.js
+const EASINGS = [
+  "linear",
+  "easeInOutSine",
+  "easeInOutQuad",
+  "easeInOutCubic",
+  "easeInOutQuint",
+  "easeOutCubic",
+  "easeOutExpo",
+];
+
+// [default, min, max, whole number?], or [default, allowed names]
+const FIELDS = {
+  torus: {
+    radius: [1.0, 0.1, 5],
+    minorRadius: [0.7, 0, 5],
+    // With 1 section or span the spiral degenerates and can't be sampled
+    sections: [11, 2, 60, true],
+    spans: [12, 2, 60, true],
+  },
+  orbits: {
+    sectionSpeed: [1, 0, 10], // multiplies each section's orbitSpeed
+    moonSpeed: [0.18, 0, 5], // slowest moon, radians per second
+    moonSpeedRange: [0.22, 0, 5], // added on top, seeded per moon
+    autoRotate: [0.15, 0, 5], // overview spin, radians per second
+  },
+  camera: {
+    fov: [60, 10, 120],
+    distance: [4.5, 2, 8], // from the center on the overview
+    parentDistance: [0.3, 0, 5], // back from a node with moons
+    parentLift: [0.075, -5, 5],
+    leafDistance: [0.15, 0, 5], // back from a leaf
+    leafLift: [0.04, -5, 5],
+    clearance: [1.5, 1, 5], // times a sphere's radius that flights keep off
+  },
+  flights: {
+    flyToParent: ["easeInOutCubic", EASINGS],
+    flyToSub: ["easeInOutCubic", EASINGS],
+    flyHome: ["easeInOutCubic", EASINGS],
+  },
+  lights: {
+    ambient: [0.6, 0, 10],
+    key: [0.8, 0, 10],
+    back: [0.3, 0, 10],
+  },
+};
+
+function isObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+// Fill in defaults and check every value against FIELDS
+export function validateScene(config, file) {
+  if (!isObject(config))
+    throw new ContentError(file, "expected a scene config object");
+  const scene = {};
+  for (const group of Object.keys(config))
+    if (!FIELDS[group]) throw new ContentError(file, `unknown group ${group}`);
+
+  for (const [group, keys] of Object.entries(FIELDS)) {
+    const given = config[group] ?? {};
+    if (!isObject(given))
+      throw new ContentError(file, `${group} must be an object`);
+    for (const key of Object.keys(given))
+      if (!keys[key])
+        throw new ContentError(file, `unknown setting ${group}.${key}`);
+
+    scene[group] = {};
+    for (const [key, [fallback, ...limits]] of Object.entries(keys)) {
+      const value = given[key] ?? fallback;
+      if (Array.isArray(limits[0])) {
+        const names = limits[0];
+        if (!names.includes(value))
+          throw new ContentError(
+            file,
+            `${group}.${key} must be one of ${names.join(", ")}`,
+          );
+        scene[group][key] = value;
+        continue;
+      }
+      const [min, max, whole] = limits;
+      if (typeof value !== "number" || !Number.isFinite(value))
+        throw new ContentError(file, `${group}.${key} must be a number`);
+      if (whole && !Number.isInteger(value))
+        throw new ContentError(file, `${group}.${key} must be a whole number`);
+      if (value < min || value > max)
+        throw new ContentError(
+          file,
+          `${group}.${key} must be between ${min} and ${max}`,
+        );
+      scene[group][key] = value;
+    }
+  }
+  return scene;
+}
+
+// The file is optional: without it every setting takes its default
+export function readScene(file, root) {
+  const rel = path.relative(root, file);
+  if (!fs.existsSync(file)) return validateScene({}, rel);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new ContentError(rel, `invalid JSON — ${err.message}`);
+  }
+  return validateScene(config, rel);
+}
+
+function send(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+// POST SCENE_ROUTE with a config writes it to `file`; the content watcher
+// then pushes it to every open page
+export function sceneMiddleware(file, root) {
+  return (req, res, next) => {
+    if (req.url !== SCENE_ROUTE) return next();
+    if (req.method !== "POST")
+      return send(res, 405, { error: "Method not allowed" });
+
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      try {
+        const scene = validateScene(
+          JSON.parse(raw || "{}"),
+          path.relative(root, file),
+        );
+        fs.writeFileSync(file, JSON.stringify(scene, null, 2) + "\n");
+        send(res, 200, { ok: true });
+      } catch (err) {
+        send(res, 422, { error: err.message });
+      }
+    });
+  };
+}
@@ -0,0 +1,47 @@
+import fs from "node:fs";
+import path from "node:path";
+import ICAL from "ical.js";
+import { ContentError } from "./content-error.js";
+
+// ============================================================
+// SCHEDULE — iCalendar feed for a link
+// ============================================================
+// content/sections/<section-id>/<link-id>.ics is checked here and shipped
+// as text: recurrences have to be expanded in the browser, relative to the
+// visitor's "now" and time zone, so the build can't pre-compute them.
+// ============================================================
+
+export function readSchedule(file, root) {
+  const rel = path.relative(root, file);
+  const text = fs.readFileSync(file, "utf8");
+  let calendar;
+  try {
+    calendar = new ICAL.Component(ICAL.parse(text));
+  } catch (err) {
+    throw new ContentError(rel, `invalid iCalendar — ${err.message}`);
+  }
+  if (calendar.name !== "vcalendar")
+    throw new ContentError(rel, "expected a VCALENDAR");
+
+  const zones = new Set(
+    calendar
+      .getAllSubcomponents("vtimezone")
+      .map((tz) => tz.getFirstPropertyValue("tzid")),
+  );
+  calendar.getAllSubcomponents("vevent").forEach((event, i) => {
+    const where = `VEVENT #${i + 1}`;
+    for (const prop of ["uid", "dtstart", "summary"]) {
+      if (!event.hasProperty(prop))
+        throw new ContentError(rel, `${where} has no ${prop.toUpperCase()}`);
+    }
+    for (const prop of event.getAllProperties()) {
+      const tzid = prop.getParameter("tzid");
+      if (tzid && tzid !== "UTC" && !zones.has(tzid))
+        throw new ContentError(
+          rel,
+          `${where} uses TZID "${tzid}" without a matching VTIMEZONE`,
+        );
+    }
+  });
+  return text;
+}
@@ -0,0 +1,178 @@
+// ============================================================
+// SCENE BENCHMARK — `npm run bench:scene`
+// ============================================================
+// Times a whole render-loop step (stepScene: camera, every node and its
+// instances, the arcs, the hover and moon reports) over the real content,
+// on the overview, parked at a section and mid-flight, and how much the
+// heap grows per frame. The step builds no objects or arrays; the few bytes
+// a frame that remain are V8 boxing numbers passed to calls it didn't
+// inline, and they shouldn't add up to a garbage collection within the run.
+// Drawing needs WebGL and isn't included. Run with --expose-gc (the npm
+// script does) so each case starts from a collected heap.
+// ============================================================
+
+import { fileURLToPath } from "node:url";
+import { PerformanceObserver } from "node:perf_hooks";
+import * as THREE from "three";
+import { readConstellation } from "../plugins/constellation.js";
+import { loadSections } from "../plugins/content.js";
+import { readScene } from "../plugins/scene.js";
+import { planFlight } from "../src/flight.js";
+import {
+  buildNodes,
+  createFrame,
+  parkedCameraPos,
+  stepScene,
+} from "../src/scene.js";
+import { THEMES } from "../src/theme.js";
+import {
+  createTorusTable,
+  generateTorusPoints,
+  sampleTorus,
+} from "../src/torus.js";
+
+const FRAMES = 5000;
+const WARM_UP = 20000;
+const DELTA = 1 / 60;
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+const file = (rel) => fileURLToPath(new URL(`../${rel}`, import.meta.url));
+
+// Read the way the content plugin reads them
+const sections = await loadSections(file("content/sections"), root);
+const edges = readConstellation(
+  file("content/constellation.json"),
+  root,
+  sections,
+);
+const config = readScene(file("content/scene.json"), root);
+const table = createTorusTable(generateTorusPoints(config.torus).curve);
+
+// Outbound links only change a ring's shape, not what a frame costs
+const { nodes, byKey, batches, arcs } = buildNodes(
+  sections,
+  edges,
+  THEMES.light,
+  () => false,
+);
+
+const camera = new THREE.PerspectiveCamera(
+  config.camera.fov,
+  16 / 9,
+  0.01,
+  100,
+);
+camera.position.set(0, 2, config.camera.distance);
+camera.updateMatrixWorld();
+
+// Scene3D's camera animation, as it starts out
+const anim = {
+  active: false,
+  phase: "idle",
+  flight: null,
+  velocity: new THREE.Vector3(),
+  carry: new THREE.Vector3(),
+  lastPos: new THREE.Vector3(),
+  startLookAt: new THREE.Vector3(),
+  endLookAt: new THREE.Vector3(),
+  currentLookAt: new THREE.Vector3(),
+  progress: 0,
+  duration: 2.5,
+  targetKey: null,
+};
+
+const frame = createFrame();
+Object.assign(frame, {
+  camera,
+  anim,
+  nodes,
+  byKey,
+  batches,
+  arcs,
+  lineMaterial: new THREE.LineBasicMaterial({ transparent: true }),
+  torusPosition: (progress, target) => sampleTorus(table, progress, target),
+  config,
+  showConstellation: true,
+  width: 1600,
+  height: 900,
+  rotation: { x: 0.3, y: 0 },
+  targetRotation: { x: 0.3, y: 0 },
+  zoom: config.camera.distance,
+  targetZoom: config.camera.distance,
+});
+frame.lineMaterial.userData.targetColor = new THREE.Color();
+
+// The first section with moons, and one of them with moons of its own if
+// the content has one
+const parent = nodes.find(
+  (n) => n.userData.depth === 1 && n.userData.hasChildren,
+);
+const moon =
+  nodes.find((n) => n.userData.depth === 2 && n.userData.hasChildren) ??
+  nodes.find((n) => n.userData.parentKey === parent.userData.key);
+
+const CASES = [
+  { name: "overview", activeKey: "" },
+  { name: "parked at a section", activeKey: parent.userData.key },
+  {
+    name: "flying to a moon",
+    activeKey: moon.userData.key,
+    // Kept in the air: progress loops instead of landing
+    before: (f) => {
+      anim.active = true;
+      anim.progress = (f % 120) / 120;
+    },
+    setup: () => {
+      anim.phase = "flyToParent";
+      anim.targetKey = moon.userData.key;
+      anim.duration = Infinity;
+      anim.flight = planFlight(
+        camera.position,
+        parkedCameraPos(moon, config.camera),
+        [],
+      );
+    },
+  },
+];
+
+let gcs = 0;
+new PerformanceObserver((list) => (gcs += list.getEntries().length)).observe({
+  entryTypes: ["gc"],
+});
+// GC entries are delivered on a later tick
+const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+console.log(
+  `${nodes.length} nodes in ${batches.length} batches, ${arcs.length} arcs, ` +
+    `${FRAMES} frames per case\n`,
+);
+console.log("case                    per frame   heap/frame   GCs");
+for (const { name, activeKey, setup, before = () => {} } of CASES) {
+  frame.activeKey = activeKey;
+  anim.active = false;
+  setup?.();
+  let time = 0;
+  const step = (f) => {
+    before(f);
+    time += DELTA;
+    stepScene(frame, time, DELTA);
+  };
+  for (let f = 0; f < WARM_UP; f++) step(f); // until optimized, pools filled
+
+  globalThis.gc?.();
+  await settle();
+  gcs = 0;
+  const heapBefore = process.memoryUsage().heapUsed;
+  const start = performance.now();
+  for (let f = 0; f < FRAMES; f++) step(f);
+  const micros = ((performance.now() - start) * 1000) / FRAMES;
+  const growth = process.memoryUsage().heapUsed - heapBefore;
+  await settle();
+
+  console.log(
+    `${name.padEnd(24)}${`${micros.toFixed(1)} µs`.padEnd(12)}` +
+      `${`${(growth / FRAMES).toFixed(0)} B`.padEnd(13)}${gcs}`,
+  );
+}
+
+if (!globalThis.gc) console.log("\n(run with --expose-gc for a clean heap)");
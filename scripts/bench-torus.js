@@ -0,0 +1,70 @@
+// ============================================================
+// TORUS BENCHMARK — `npm run bench:torus`
+// ============================================================
+// Compares the per-frame cost of placing sections on the torus: today's
+// lookup table (sampleTorus) against the CatmullRomCurve3.getPointAt call
+// it replaced, for a growing number of sections. Also reports how far the
+// table strays from the curve.
+// ============================================================
+
+import { fileURLToPath } from "node:url";
+import * as THREE from "three";
+import { readScene } from "../plugins/scene.js";
+import {
+  createTorusTable,
+  generateTorusPoints,
+  sampleTorus,
+} from "../src/torus.js";
+
+const FRAMES = 2000;
+const SECTION_COUNTS = [3, 12, 48, 200];
+
+// Read the way the content plugin reads it, defaults filled in
+const config = readScene(
+  fileURLToPath(new URL("../content/scene.json", import.meta.url)),
+  fileURLToPath(new URL("..", import.meta.url)),
+);
+const { curve } = generateTorusPoints(config.torus);
+const table = createTorusTable(curve);
+
+// One frame's worth of section positions, as the render loop computes them
+function frameWithCurve(positions, time) {
+  positions.forEach((position, i) => {
+    const progress = time * 0.02 + i / positions.length;
+    position.copy(curve.getPointAt(((progress % 1) + 1) % 1));
+  });
+}
+
+function frameWithTable(positions, time) {
+  positions.forEach((position, i) => {
+    sampleTorus(table, time * 0.02 + i / positions.length, position);
+  });
+}
+
+function microsPerFrame(frame, count) {
+  const positions = Array.from({ length: count }, () => new THREE.Vector3());
+  for (let f = 0; f < 1000; f++) frame(positions, f / 60); // warm up
+  const start = performance.now();
+  for (let f = 0; f < FRAMES; f++) frame(positions, f / 60);
+  return ((performance.now() - start) * 1000) / FRAMES;
+}
+
+console.log(`torus: ${JSON.stringify(config.torus)}, ${FRAMES} frames\n`);
+console.log("sections   getPointAt   table      speed-up");
+for (const count of SECTION_COUNTS) {
+  const before = microsPerFrame(frameWithCurve, count);
+  const after = microsPerFrame(frameWithTable, count);
+  console.log(
+    `${String(count).padEnd(11)}${`${before.toFixed(1)} µs`.padEnd(13)}` +
+      `${`${after.toFixed(2)} µs`.padEnd(11)}${(before / after).toFixed(0)}×`,
+  );
+}
+
+let maxError = 0;
+const sampled = new THREE.Vector3();
+for (let i = 0; i < 10000; i++) {
+  const u = Math.random();
+  sampleTorus(table, u, sampled);
+  maxError = Math.max(maxError, sampled.distanceTo(curve.getPointAt(u)));
+}
+console.log(`\nlargest table error: ${maxError.toExponential(2)} units`);
@@ -1,216 +1,110 @@
-import { useState, useRef, useCallback, useEffect } from "react";
+import {
+  useState,
+  useReducer,
+  useRef,
+  useCallback,
+  useEffect,
+  lazy,
+  Suspense,
+} from "react";
 import * as THREE from "three";
+import {
+  CONSTELLATION,
+  LOCALES,
+  SCENE,
+  SECTIONS,
+  useScene,
+  useSections,
+} from "./content.js";
+import {
+  LOCALE,
+  hashLocale,
+  localeDir,
+  localized,
+  setLocale,
+  t,
+  useLocale,
+} from "./i18n.js";
+import { planFlight } from "./flight.js";
+import { sceneCovers, useFocusTrap } from "./hooks.js";
+import {
+  ARC_HIT_RADIUS,
+  arcDistance,
+  buildNodes,
+  createFrame,
+  homeCameraPos,
+  nodeColor,
+  onActivePath,
+  parkedCameraPos,
+  projectToScreen,
+  setTargetColor,
+  stepScene,
+} from "./scene.js";
+import { readStored, writeStored } from "./storage.js";
+import { THEMES, themeVars } from "./theme.js";
+import {
+  createTorusTable,
+  generateTorusPoints,
+  sampleTorus,
+  torusLength,
+} from "./torus.js";
+import {
+  isPathPrefix,
+  nodeLabel,
+  openOutbound,
+  outbound,
+  resolvePath,
+  samePath,
+} from "./tree.js";
+import { CommandPalette } from "./CommandPalette.jsx";
+import { ContactForm } from "./ContactForm.jsx";
+import { GalleryGrid } from "./Gallery.jsx";
+import { ResumeView } from "./Resume.jsx";
+import { ScheduleView } from "./Schedule.jsx";
+
+// Scene tuning sliders, opened with ?tune. import.meta.env.DEV is false in
+// the build, so the panel is left out of it entirely.
+const TunePanel =
+  import.meta.env.DEV && new URLSearchParams(window.location.search).has("tune")
+    ? lazy(() => import("./TunePanel.jsx"))
+    : null;
 
 // ============================================================
-// TORUS SPIRAL PORTFOLIO — Two-level zoom
+// TORUS SPIRAL PORTFOLIO — zooming down a content tree
 // ============================================================
-// Level 0: Home — torus spiral with 3 parent planets + moons
-// Level 1: Section — camera flies to parent, moons grow
-// Level 2: Link — camera flies to sub-sphere, content panel fills viewport
+// Home — every section (content/sections) rides the torus spiral as a
+//   planet, its links orbiting it as moons
+// A node with links — the camera flies to it and its links grow into the
+//   next ring of moons, each level half the size of the one above, as deep
+//   as the content goes
+// A leaf — the camera flies right up to it and its content panel opens
 // ============================================================
 
-// -- Parametric Torus Math --
-function generateTorusPoints({
-  radius = 1.0,
-  minorRadius = 0.7,
-  sections = 11,
-  spans = 12,
-}) {
-  function gcd(a, b) {
-    while (b) {
-      [a, b] = [b, a % b];
-    }
-    return a;
-  }
-  const stepsToClose = (sections * spans) / gcd(sections, spans);
-  const rawPoints = [];
-  for (let i = 0; i < stepsToClose; i++) {
-    const u = (i / sections) * Math.PI * 2;
-    const t = (i / spans) * Math.PI * 2;
-    const x = (radius + minorRadius * Math.cos(t)) * Math.cos(u);
-    const y = minorRadius * Math.sin(t);
-    const z = (radius + minorRadius * Math.cos(t)) * Math.sin(u);
-    rawPoints.push(new THREE.Vector3(x, y, z));
-  }
-  const curve = new THREE.CatmullRomCurve3(rawPoints, true, "catmullrom", 0.5);
-  return { points: curve.getPoints(stepsToClose * 8), curve };
-}
-
-let _torusCurve = null;
-function getTorusPosition(progress) {
-  if (!_torusCurve) {
-    _torusCurve = generateTorusPoints({
-      radius: 1.0,
-      minorRadius: 0.7,
-      sections: 11,
-      spans: 12,
-    }).curve;
-  }
-  return _torusCurve.getPointAt(((progress % 1) + 1) % 1);
+// Lookup table for the current torus; rebuilt when SCENE.torus changes
+let _torusTable = null;
+function getTorusPosition(progress, target) {
+  if (!_torusTable)
+    _torusTable = createTorusTable(generateTorusPoints(SCENE.torus).curve);
+  return sampleTorus(_torusTable, progress, target);
 }
 
-// ============================================================
-// SECTION DATA
-// ============================================================
-const SECTIONS = [
-  {
-    id: "art",
-    label: "Art",
-    color: "#2a2a2a",
-    orbitOffset: 0.0,
-    orbitSpeed: 0.0018,
-    links: [
-      {
-        id: "gallery",
-        title: "Gallery",
-        subtitle: "Paintings, prints & murals",
-        description:
-          "A collection of original works spanning painting, screen printing, and large-scale mural projects. Each piece explores the intersection of geometric form and organic energy.",
-      },
-      {
-        id: "instagram",
-        title: "Instagram",
-        subtitle: "@mica.oz",
-        description:
-          "Follow the creative journey — studio sessions, work in progress, and finished pieces shared in real time.",
-      },
-      {
-        id: "process",
-        title: "Process",
-        subtitle: "Studio & behind the scenes",
-        description:
-          "Step inside the studio. From initial sketches through final execution, see how ideas become physical works.",
-      },
-    ],
-  },
-  {
-    id: "dev",
-    label: "Dev",
-    color: "#5a5a5a",
-    orbitOffset: 0.2,
-    orbitSpeed: 0.0012,
-    links: [
-      {
-        id: "projects",
-        title: "Projects",
-        subtitle: "Web apps & automation",
-        description:
-          "Full-stack applications, automation systems, and creative technology projects. Built with React, TypeScript, Next.js, and AWS.",
-      },
-      {
-        id: "github",
-        title: "GitHub",
-        subtitle: "Open source work",
-        description:
-          "Contributions and repositories. Code that solves real problems.",
-      },
-      {
-        id: "resume",
-        title: "Resume",
-        subtitle: "Experience & skills",
-        description:
-          "Principal Engineer experience spanning full-stack development, database architecture, OCR pipelines, and creative technology.",
-      },
-    ],
-  },
-  {
-    id: "yoga",
-    label: "Yoga",
-    color: "#7a7a7a",
-    orbitOffset: 0.4,
-    orbitSpeed: 0.0022,
-    links: [
-      {
-        id: "classes",
-        title: "Classes",
-        subtitle: "Schedule & booking",
-        description:
-          "Join a class. Vinyasa, restorative, and movement-based practices rooted in tradition and adapted for modern bodies.",
-      },
-      {
-        id: "philosophy",
-        title: "Philosophy",
-        subtitle: "Practice & writing",
-        description:
-          "Explorations of Eastern philosophy, embodied practice, and the intersection of movement and meaning.",
-      },
-      {
-        id: "training",
-        title: "Training",
-        subtitle: "Teacher training journey",
-        description:
-          "Documentation of the teacher training path — philosophy, anatomy, sequencing, and the art of holding space.",
-      },
-    ],
-  },
-  {
-    id: "about",
-    label: "About",
-    color: "#9a9a9a",
-    orbitOffset: 0.6,
-    orbitSpeed: 0.0014,
-    links: [
-      {
-        id: "story",
-        title: "Story",
-        subtitle: "Background & journey",
-        description:
-          "From Parsons to screen printing to code — a nonlinear path through commercial arts, technology, and movement practice.",
-      },
-      {
-        id: "values",
-        title: "Values",
-        subtitle: "What drives the work",
-        description:
-          "Creativity as practice. Technology as craft. Movement as philosophy. The threads that connect everything.",
-      },
-      {
-        id: "press",
-        title: "Press",
-        subtitle: "Features & mentions",
-        description:
-          "Selected press coverage, interviews, and features across art, technology, and wellness publications.",
-      },
-    ],
-  },
-  {
-    id: "contact",
-    label: "Contact",
-    color: "#b5b5b5",
-    orbitOffset: 0.8,
-    orbitSpeed: 0.002,
-    links: [
-      {
-        id: "email",
-        title: "Email",
-        subtitle: "Get in touch",
-        description:
-          "For commissions, collaborations, speaking engagements, or just to say hello — drop a line.",
-      },
-      {
-        id: "booking",
-        title: "Booking",
-        subtitle: "Schedule a session",
-        description:
-          "Book a yoga class, consultation, or creative session. Available for private and group work.",
-      },
-      {
-        id: "social",
-        title: "Social",
-        subtitle: "Connect online",
-        description:
-          "Find and follow across platforms — Instagram, GitHub, LinkedIn, and more.",
-      },
-    ],
-  },
-];
-
 // ============================================================
 // HELPERS
 // ============================================================
+// Seconds; a longer gap between frames (a stall, a throttled tab) advances
+// the scene by this much at most, so orbits and flights don't jump
+const MAX_FRAME_DELTA = 0.1;
+// Frame rate while an overlay hides the scene
+const COVERED_FPS = 10;
+
+// Calls back with the scene clock and the step since the last frame. The
+// clock only advances by clamped steps: the loop stops while the tab is
+// hidden, picks up where it left off when it's shown again, and runs at
+// COVERED_FPS while the scene is covered.
 function useAnimationFrame(callback) {
   const requestRef = useRef();
   const previousTimeRef = useRef();
+  const clockRef = useRef(0);
   const callbackRef = useRef(callback);
 
   // Update the ref when callback changes without touching refs during render
@@ -220,52 +114,146 @@ function useAnimationFrame(callback) {
 
   useEffect(() => {
     const animate = (time) => {
-      if (previousTimeRef.current !== undefined) {
-        callbackRef.current(
-          time / 1000,
-          (time - previousTimeRef.current) / 1000,
-        );
-      }
+      requestRef.current = requestAnimationFrame(animate);
+      const previous = previousTimeRef.current;
+      if (sceneCovers && time - previous < 1000 / COVERED_FPS) return;
       previousTimeRef.current = time;
+      if (previous === undefined) return;
+      const delta = Math.min((time - previous) / 1000, MAX_FRAME_DELTA);
+      clockRef.current += delta;
+      callbackRef.current(clockRef.current, delta);
+    };
+    const stop = () => cancelAnimationFrame(requestRef.current);
+    const start = () => {
+      stop();
+      previousTimeRef.current = undefined;
       requestRef.current = requestAnimationFrame(animate);
     };
-    requestRef.current = requestAnimationFrame(animate);
-    return () => cancelAnimationFrame(requestRef.current);
+    const onVisibilityChange = () => (document.hidden ? stop() : start());
+
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    if (!document.hidden) start();
+    return () => {
+      stop();
+      document.removeEventListener("visibilitychange", onVisibilityChange);
+    };
   }, []);
 }
 
-function easeInOutCubic(t) {
-  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+function useMediaQuery(query) {
+  const [matches, setMatches] = useState(
+    () => window.matchMedia(query).matches,
+  );
+
+  useEffect(() => {
+    const mql = window.matchMedia(query);
+    const onChange = () => setMatches(mql.matches);
+    onChange();
+    mql.addEventListener("change", onChange);
+    return () => mql.removeEventListener("change", onChange);
+  }, [query]);
+
+  return matches;
 }
 
-// Seeded pseudo-random per sub-sphere
-function subSeed(sIdx, lIdx) {
-  return sIdx * 7 + lIdx * 13;
+// -- URL routing --
+// Navigation state is mirrored into the hash behind the locale
+// (#/en/dev/resume) so links can be shared and the browser's Back/Forward
+// buttons fly the camera in and out. Unknown ids cut the path short; a
+// missing locale is allowed, for links from before there were locales.
+function parseRoute(hash) {
+  const ids = hash.replace(/^#\/?/, "").split("/");
+  if (hashLocale(hash)) ids.shift();
+  return resolvePath(ids).map((n) => n.id);
 }
-function seededVal(seed, mult) {
-  return ((seed * mult) % 100) / 100;
+
+function routeToHash(path, locale = LOCALE) {
+  return `#/${[locale, ...path].join("/")}`;
 }
 
 // ============================================================
 // 3D SCENE
 // ============================================================
+// Flying home, the camera first rides the torus away from the section it
+// leaves, drifting outward, then pulls back to the overview. Waypoints are
+// this far apart along the spiral, in world units.
+const HOME_TRACK_STEP = 0.25;
+
+function homeWaypoints(section, home) {
+  const step = HOME_TRACK_STEP / torusLength(_torusTable);
+  const { parentDistance, parentLift } = SCENE.camera;
+  const track = (dir) =>
+    [1, 2, 3].map((k) => {
+      const point = getTorusPosition(
+        section.userData.progress + dir * k * step,
+        new THREE.Vector3(),
+      );
+      const out = new THREE.Vector3(point.x, 0, point.z).normalize();
+      point.addScaledVector(out, parentDistance * (1 + k));
+      point.y += parentLift * (1 + k);
+      return point;
+    });
+  // Whichever way along the spiral ends up nearer the overview pose
+  const [ahead, behind] = [track(1), track(-1)];
+  return ahead[2].distanceTo(home) <= behind[2].distanceTo(home)
+    ? ahead
+    : behind;
+}
+
+// Every sphere on screen, with room to spare, for a flight to steer around
+function flightObstacles(nodes) {
+  return nodes
+    .filter((node) => node.visible)
+    .map((node) => ({
+      center: node.position.clone(),
+      radius: node.userData.radius * node.scale.x * SCENE.camera.clearance,
+    }));
+}
+
+// Slow for long hops (from the overview, across sections), quicker for a
+// step down to a moon, quickest for climbing back up the tree
+function flightDuration(from, to) {
+  if (!from.length) return 2.5;
+  if (isPathPrefix(to, from)) return 1.5;
+  if (to.length > 1 && isPathPrefix(to.slice(0, -1), from)) return 1.8;
+  return 2.5;
+}
+
+// Milliseconds a touch holds still on a sphere to preview it
+const LONG_PRESS_MS = 500;
+
+// Reported while no node with moons is focused
+const NO_MOONS = [];
+
 function Scene3D({
-  activeSection,
-  activeLink,
+  activePath,
+  theme,
   showConstellation,
   onCameraProgress,
   onSubSphereScreenPositions,
-  onClickSection,
-  onClickSubSphere,
+  onNavigate,
+  onUp,
+  reducedMotion,
+  onContextLost,
+  onContextRestored,
+  onWebGLUnavailable,
+  onHover,
 }) {
+  const sections = useSections();
+  const sceneConfig = useScene();
+  const activeKey = activePath.join("/");
+  const themeRef = useRef(theme); // for meshes built after a switch
+  const reducedMotionRef = useRef(reducedMotion); // for flights as they start
   const canvasRef = useRef(null);
   const rendererRef = useRef(null);
   const sceneRef = useRef(null);
   const cameraRef = useRef(null);
   const meshesRef = useRef({});
-  const spheresRef = useRef([]);
-  const subSpheresRef = useRef([]);
-  const constellationLinesRef = useRef([]);
+  const nodesRef = useRef([]); // every node, parents before their moons
+  const nodeByKeyRef = useRef(new Map()); // "dev/projects" → node
+  const batchesRef = useRef([]); // instanced meshes drawing the nodes
+  const builtFromRef = useRef(null);
+  const constellationLinesRef = useRef([]); // an arc per CONSTELLATION edge
   const raycasterRef = useRef(new THREE.Raycaster());
   const mouseDownPosRef = useRef({ x: 0, y: 0 });
 
@@ -275,23 +263,33 @@ function Scene3D({
   const rotationRef = useRef({ x: 0.3, y: 0 });
   const targetRotationRef = useRef({ x: 0.3, y: 0 });
   const autoRotateRef = useRef(0);
-  const zoomRef = useRef(4.5);
-  const targetZoomRef = useRef(4.5);
+  const zoomRef = useRef(SCENE.camera.distance);
+  const targetZoomRef = useRef(SCENE.camera.distance);
   const pinchStartRef = useRef(null);
-
-  // Camera anim supports: flyToParent, flyToSub, flyBackToParent, flyBackHome
+  const focusIndexRef = useRef(-1); // keyboard-focused sphere at the current level
+  const contextLostRef = useRef(false);
+  const hoverKeyRef = useRef(null); // node under the pointer, or long-pressed
+  const hoverArcRef = useRef(null); // constellation arc under the pointer
+  const hoverShownRef = useRef(false); // whether onHover last got something
+
+  // Camera anim supports: flyToParent (a node with moons), flyToSub (a
+  // leaf) and flyHome; targetKey is the id path of the node flown to, and
+  // flight the path planned for the camera (see flight.js). A new target
+  // replaces the flight wherever the camera is: velocity is the camera's
+  // speed last frame, and carry the part of it the new flight eases out.
   const cameraAnimRef = useRef({
     active: false,
     phase: "idle",
-    startPos: new THREE.Vector3(),
-    endPos: new THREE.Vector3(),
+    flight: null,
+    velocity: new THREE.Vector3(),
+    carry: new THREE.Vector3(),
+    lastPos: new THREE.Vector3(),
     startLookAt: new THREE.Vector3(),
     endLookAt: new THREE.Vector3(),
     currentLookAt: new THREE.Vector3(),
     progress: 0,
     duration: 2.5,
-    targetSectionIndex: -1,
-    targetLinkIndex: -1,
+    targetKey: null,
   });
 
   // Init
@@ -299,16 +297,18 @@ function Scene3D({
     const canvas = canvasRef.current;
     if (!canvas) return;
 
-    // Reset refs to prevent duplicates on re-render (React Strict Mode / hot reload)
-    spheresRef.current = [];
-    subSpheresRef.current = [];
-    constellationLinesRef.current = [];
-
-    const renderer = new THREE.WebGLRenderer({
-      canvas,
-      antialias: true,
-      alpha: true,
-    });
+    let renderer;
+    try {
+      renderer = new THREE.WebGLRenderer({
+        canvas,
+        antialias: true,
+        alpha: true,
+      });
+    } catch {
+      // No WebGL at all: App swaps in the fallback map
+      onWebGLUnavailable?.();
+      return;
+    }
     renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.setClearColor(0x000000, 0);
@@ -317,128 +317,41 @@ function Scene3D({
     const scene = new THREE.Scene();
     sceneRef.current = scene;
 
+    // Near plane sits close in: deeper levels park the camera a few
+    // hundredths of a unit from their moons
     const camera = new THREE.PerspectiveCamera(
-      60,
+      SCENE.camera.fov,
       window.innerWidth / window.innerHeight,
-      0.1,
+      0.01,
       100,
     );
-    camera.position.set(0, 2, 4.5);
+    camera.position.set(0, 2, SCENE.camera.distance);
     camera.lookAt(0, 0, 0);
     cameraRef.current = camera;
 
-    scene.add(new THREE.AmbientLight(0xffffff, 0.6));
-    const dl = new THREE.DirectionalLight(0xffffff, 0.8);
+    // Intensities and the torus geometry are set by the scene settings
+    // effects below
+    const ambient = new THREE.AmbientLight(0xffffff);
+    scene.add(ambient);
+    const dl = new THREE.DirectionalLight(0xffffff);
     dl.position.set(5, 5, 5);
     scene.add(dl);
-    const bl = new THREE.DirectionalLight(0xffffff, 0.3);
+    const bl = new THREE.DirectionalLight(0xffffff);
     bl.position.set(-3, -2, -5);
     scene.add(bl);
+    meshesRef.current.lights = { ambient, key: dl, back: bl };
 
     // Torus spiral
-    const torusResult = generateTorusPoints({
-      radius: 1.0,
-      minorRadius: 0.7,
-      sections: 11,
-      spans: 12,
-    });
-    _torusCurve = torusResult.curve;
-    const lineGeo = new THREE.BufferGeometry().setFromPoints(
-      torusResult.points,
-    );
     const lineMat = new THREE.LineBasicMaterial({
-      color: 0x1a1a1a,
       transparent: true,
       opacity: 1,
     });
-    scene.add(new THREE.Line(lineGeo, lineMat));
+    setTargetColor(lineMat, themeRef.current.torus, true);
+    const line = new THREE.Line(new THREE.BufferGeometry(), lineMat);
+    scene.add(line);
+    meshesRef.current.torusLine = line;
     meshesRef.current.lineMaterial = lineMat;
 
-    // Parent spheres
-    SECTIONS.forEach((section) => {
-      const geo = new THREE.SphereGeometry(0.09, 32, 32);
-      const mat = new THREE.MeshStandardMaterial({
-        color: new THREE.Color(section.color),
-        roughness: 0.2,
-        metalness: 0.05,
-        transparent: true,
-        opacity: 1,
-      });
-      const sphere = new THREE.Mesh(geo, mat);
-      const ringGeo = new THREE.RingGeometry(0.112, 0.128, 32);
-      const ringMat = new THREE.MeshBasicMaterial({
-        color: new THREE.Color(section.color),
-        transparent: true,
-        opacity: 0.25,
-        side: THREE.DoubleSide,
-      });
-      sphere.add(new THREE.Mesh(ringGeo, ringMat));
-      sphere.userData = {
-        sphereMaterial: mat,
-        ringMaterial: ringMat,
-        type: "parent",
-      };
-      scene.add(sphere);
-      spheresRef.current.push(sphere);
-    });
-
-    // Sub-spheres
-    SECTIONS.forEach((section, sIdx) => {
-      const subs = [];
-      section.links.forEach((link, lIdx) => {
-        const shade = new THREE.Color(section.color).lerp(
-          new THREE.Color("#000000"),
-          0.15,
-        );
-        const geo = new THREE.SphereGeometry(0.045, 24, 24);
-        const mat = new THREE.MeshStandardMaterial({
-          color: shade,
-          roughness: 0.15,
-          metalness: 0.1,
-          transparent: true,
-          opacity: 0.8,
-        });
-        const sub = new THREE.Mesh(geo, mat);
-        const ringGeo = new THREE.RingGeometry(0.055, 0.068, 24);
-        const ringMat = new THREE.MeshBasicMaterial({
-          color: shade,
-          transparent: true,
-          opacity: 0.2,
-          side: THREE.DoubleSide,
-        });
-        sub.add(new THREE.Mesh(ringGeo, ringMat));
-        sub.userData = {
-          subMaterial: mat,
-          subRingMaterial: ringMat,
-          type: "sub",
-          sectionIndex: sIdx,
-          linkIndex: lIdx,
-        };
-        scene.add(sub);
-        subs.push(sub);
-      });
-      subSpheresRef.current.push(subs);
-    });
-
-    // Constellation lines (connecting planets)
-    for (let i = 0; i < SECTIONS.length; i++) {
-      const geometry = new THREE.BufferGeometry();
-      // Will be updated each frame with actual positions
-      const positions = new Float32Array(6); // 2 points x 3 coords
-      geometry.setAttribute(
-        "position",
-        new THREE.BufferAttribute(positions, 3),
-      );
-      const material = new THREE.LineBasicMaterial({
-        color: 0xff3333,
-        transparent: true,
-        opacity: 0,
-      });
-      const line = new THREE.Line(geometry, material);
-      scene.add(line);
-      constellationLinesRef.current.push(line);
-    }
-
     const handleResize = () => {
       camera.aspect = window.innerWidth / window.innerHeight;
       camera.updateProjectionMatrix();
@@ -447,23 +360,180 @@ function Scene3D({
     window.addEventListener("resize", handleResize);
     return () => {
       window.removeEventListener("resize", handleResize);
+      line.geometry.dispose();
+      lineMat.dispose();
       renderer.dispose();
     };
-  }, []);
+  }, [onWebGLUnavailable]);
+
+  // A lost context stops drawing until the browser restores it. App shows
+  // the fallback map meanwhile, and remounts the scene once it's back.
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const onLost = (e) => {
+      e.preventDefault(); // ask the browser to restore it
+      contextLostRef.current = true;
+      onContextLost?.();
+    };
+    const onRestored = () => onContextRestored?.();
+    canvas.addEventListener("webglcontextlost", onLost);
+    canvas.addEventListener("webglcontextrestored", onRestored);
+    return () => {
+      canvas.removeEventListener("webglcontextlost", onLost);
+      canvas.removeEventListener("webglcontextrestored", onRestored);
+    };
+  }, [onContextLost, onContextRestored]);
+
+  // Scene settings — content/scene.json, edited live by the ?tune panel.
+  // A new torus shape swaps the line's geometry and the lookup table the
+  // sections ride, without rebuilding anything else.
+  useEffect(() => {
+    const line = meshesRef.current.torusLine;
+    if (!line) return;
+    const torus = generateTorusPoints(sceneConfig.torus);
+    _torusTable = createTorusTable(torus.curve);
+    line.geometry.dispose();
+    line.geometry = new THREE.BufferGeometry().setFromPoints(torus.points);
+  }, [sceneConfig.torus]);
+
+  useEffect(() => {
+    const lights = meshesRef.current.lights;
+    if (!lights) return;
+    for (const [name, light] of Object.entries(lights))
+      light.intensity = sceneConfig.lights[name];
+  }, [sceneConfig.lights]);
+
+  useEffect(() => {
+    const camera = cameraRef.current;
+    if (!camera) return;
+    camera.fov = sceneConfig.camera.fov;
+    camera.updateProjectionMatrix();
+  }, [sceneConfig.camera.fov]);
+
+  useEffect(() => {
+    targetZoomRef.current = sceneConfig.camera.distance;
+  }, [sceneConfig.camera.distance]);
+
+  // Spheres — rebuilt when content hot-reloads, without touching the renderer
+  useEffect(() => {
+    const scene = sceneRef.current;
+    if (!scene) return;
+
+    // Built afresh on every content update: CONSTELLATION is swapped in
+    // with the sections, so it's read here
+    const { nodes, byKey, batches, arcs } = buildNodes(
+      sections,
+      CONSTELLATION,
+      themeRef.current,
+      outbound,
+    );
+    nodesRef.current = nodes;
+    nodeByKeyRef.current = byKey;
+    batchesRef.current = batches;
+    constellationLinesRef.current = arcs;
+    hoverArcRef.current = null;
+    builtFromRef.current = sections;
+    const added = [...batches, ...arcs];
+    added.forEach((obj) => scene.add(obj));
+
+    return () => {
+      added.forEach((obj) => {
+        scene.remove(obj);
+        obj.traverse((o) => {
+          o.geometry?.dispose();
+          o.material?.dispose();
+        });
+      });
+    };
+  }, [sections]);
+
+  // Theme switches retarget every material; the render loop eases them over
+  useEffect(() => {
+    themeRef.current = theme;
+    const lineMat = meshesRef.current.lineMaterial;
+    if (lineMat) setTargetColor(lineMat, theme.torus);
+    nodesRef.current.forEach(({ userData }) =>
+      userData.targetColor.copy(
+        nodeColor(theme, userData.sectionColor, userData.depth),
+      ),
+    );
+    constellationLinesRef.current.forEach((line) =>
+      setTargetColor(line.material, theme.constellation),
+    );
+  }, [theme, sections]);
 
   // Controls
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
 
-    const getAllSpheres = () => {
-      const all = [...spheresRef.current];
-      subSpheresRef.current.forEach((subs) => all.push(...subs));
-      return all;
+    hoverKeyRef.current = null;
+    hoverArcRef.current = null;
+    const longPress = { timer: null, fired: false };
+    // Only what a click would open gets a preview: sections from the
+    // overview, the focused node's moons further in
+    const previewable = (h) =>
+      h?.userData.opacity > 0.3 && h.userData.parentKey === activeKey;
+
+    // The node under a pointer position. Sphere and ring instances both
+    // count; hidden moons (more than a level off the active path) can't be
+    // hit.
+    const nodeAt = (cx, cy) => {
+      const rect = canvas.getBoundingClientRect();
+      const m = new THREE.Vector2(
+        ((cx - rect.left) / rect.width) * 2 - 1,
+        -((cy - rect.top) / rect.height) * 2 + 1,
+      );
+      raycasterRef.current.setFromCamera(m, cameraRef.current);
+      for (const hit of raycasterRef.current.intersectObjects(
+        batchesRef.current,
+        false,
+      )) {
+        const node = hit.object.userData.nodes[hit.instanceId];
+        if (node.visible) return node;
+      }
+      return null;
+    };
+
+    // The constellation arc nearest a pointer position, if one is showing
+    // within ARC_HIT_RADIUS of it
+    const arcAt = (cx, cy) => {
+      const rect = canvas.getBoundingClientRect();
+      let nearest = null;
+      let best = ARC_HIT_RADIUS;
+      constellationLinesRef.current.forEach((line) => {
+        if (line.material.opacity < 0.1) return;
+        const d = arcDistance(
+          line,
+          cameraRef.current,
+          cx - rect.left,
+          cy - rect.top,
+          rect.width,
+          rect.height,
+        );
+        if (d < best) [nearest, best] = [line, d];
+      });
+      return nearest;
+    };
+
+    // Following an arc leads away from the active end, or else to the end
+    // nearer the camera
+    const arcTarget = (line) => {
+      const { from, to } = line.userData;
+      if (onActivePath(from.userData.key, activeKey)) return to;
+      if (onActivePath(to.userData.key, activeKey)) return from;
+      const eye = cameraRef.current.position;
+      return from.position.distanceToSquared(eye) <=
+        to.position.distanceToSquared(eye)
+        ? from
+        : to;
     };
 
     const onMD = (e) => {
-      if (cameraAnimRef.current.active) return;
+      focusIndexRef.current = -1;
+      hoverKeyRef.current = null;
+      hoverArcRef.current = null;
       isDraggingRef.current = true;
       hasDraggedRef.current = false;
       lastMouseRef.current = { x: e.clientX, y: e.clientY };
@@ -472,31 +542,13 @@ function Scene3D({
     const onMM = (e) => {
       if (!isDraggingRef.current) {
         if (cameraRef.current) {
-          const rect = canvas.getBoundingClientRect();
-          const m = new THREE.Vector2(
-            ((e.clientX - rect.left) / rect.width) * 2 - 1,
-            -((e.clientY - rect.top) / rect.height) * 2 + 1,
-          );
-          raycasterRef.current.setFromCamera(m, cameraRef.current);
-          const hits = raycasterRef.current.intersectObjects(
-            getAllSpheres(),
-            true,
-          );
-          let pointer = false;
-          if (hits.length > 0) {
-            let h = hits[0].object;
-            while (
-              h &&
-              h.userData.type !== "parent" &&
-              h.userData.type !== "sub"
-            )
-              h = h.parent;
-            if (h) {
-              const mt = h.userData.sphereMaterial || h.userData.subMaterial;
-              if (mt && mt.opacity > 0.3) pointer = true;
-            }
-          }
-          canvas.style.cursor = pointer ? "pointer" : "grab";
+          const h = nodeAt(e.clientX, e.clientY);
+          const arc = h ? null : arcAt(e.clientX, e.clientY);
+          canvas.style.cursor =
+            h?.userData.opacity > 0.3 || arc ? "pointer" : "grab";
+          hoverKeyRef.current =
+            e.target === canvas && previewable(h) ? h.userData.key : null;
+          hoverArcRef.current = e.target === canvas ? arc : null;
         }
         return;
       }
@@ -507,7 +559,7 @@ function Scene3D({
         Math.abs(e.clientY - mouseDownPosRef.current.y) > 5
       )
         hasDraggedRef.current = true;
-      if (!activeSection) {
+      if (!activeKey) {
         targetRotationRef.current.y += dx * 0.005;
         targetRotationRef.current.x += dy * 0.005;
       }
@@ -515,33 +567,17 @@ function Scene3D({
     };
 
     const handleClick = (cx, cy) => {
-      if (hasDraggedRef.current || cameraAnimRef.current.active) return;
-      const rect = canvas.getBoundingClientRect();
-      const m = new THREE.Vector2(
-        ((cx - rect.left) / rect.width) * 2 - 1,
-        -((cy - rect.top) / rect.height) * 2 + 1,
-      );
-      raycasterRef.current.setFromCamera(m, cameraRef.current);
-      const hits = raycasterRef.current.intersectObjects(getAllSpheres(), true);
-      if (!hits.length) return;
-
-      let h = hits[0].object;
-      while (h && h.userData.type !== "parent" && h.userData.type !== "sub")
-        h = h.parent;
-      if (!h) return;
-
-      if (h.userData.type === "parent" && !activeSection) {
-        const idx = spheresRef.current.indexOf(h);
-        if (idx >= 0) onClickSection?.(SECTIONS[idx].id);
-      } else if (h.userData.type === "sub" && activeSection && !activeLink) {
-        const mt = h.userData.subMaterial;
-        if (mt.opacity > 0.3) {
-          onClickSubSphere?.(
-            SECTIONS[h.userData.sectionIndex].id,
-            SECTIONS[h.userData.sectionIndex].links[h.userData.linkIndex].id,
-          );
-        }
+      if (hasDraggedRef.current) return;
+      const h = nodeAt(cx, cy);
+      if (!h) {
+        const arc = arcAt(cx, cy);
+        if (arc) onNavigate?.(arcTarget(arc).userData.path);
+        return;
       }
+
+      // Only moons of the focused node open (sections, from the overview)
+      if (h.userData.parentKey === activeKey && h.userData.opacity > 0.3)
+        onNavigate?.(h.userData.path);
     };
 
     const onMU = (e) => {
@@ -550,13 +586,24 @@ function Scene3D({
       hasDraggedRef.current = false;
     };
     const onWH = (e) => {
-      if (cameraAnimRef.current.active || activeSection) return;
+      if (activeKey) return;
       targetZoomRef.current += e.deltaY * 0.003;
       targetZoomRef.current = Math.max(2, Math.min(8, targetZoomRef.current));
     };
     const onTS = (e) => {
-      if (cameraAnimRef.current.active) return;
+      hoverKeyRef.current = null;
+      hoverArcRef.current = null;
+      clearTimeout(longPress.timer);
+      longPress.fired = false;
       if (e.touches.length === 1) {
+        // Holding still on a sphere previews it instead of opening it
+        const { clientX, clientY } = e.touches[0];
+        longPress.timer = setTimeout(() => {
+          const h = nodeAt(clientX, clientY);
+          if (hasDraggedRef.current || !previewable(h)) return;
+          hoverKeyRef.current = h.userData.key;
+          longPress.fired = true;
+        }, LONG_PRESS_MS);
         isDraggingRef.current = true;
         hasDraggedRef.current = false;
         lastMouseRef.current = {
@@ -582,7 +629,7 @@ function Scene3D({
           Math.abs(e.touches[0].clientY - mouseDownPosRef.current.y) > 8
         )
           hasDraggedRef.current = true;
-        if (!activeSection) {
+        if (!activeKey) {
           const dx = e.touches[0].clientX - lastMouseRef.current.x;
           const dy = e.touches[0].clientY - lastMouseRef.current.y;
           targetRotationRef.current.y += dx * 0.005;
@@ -595,7 +642,7 @@ function Scene3D({
       } else if (
         e.touches.length === 2 &&
         pinchStartRef.current !== null &&
-        !activeSection
+        !activeKey
       ) {
         const dist = Math.hypot(
           e.touches[0].clientX - e.touches[1].clientX,
@@ -607,13 +654,53 @@ function Scene3D({
       }
     };
     const onTE = (e) => {
-      if (!hasDraggedRef.current && e.changedTouches.length > 0)
+      clearTimeout(longPress.timer);
+      if (
+        !hasDraggedRef.current &&
+        !longPress.fired &&
+        e.changedTouches.length > 0
+      )
         handleClick(e.changedTouches[0].clientX, e.changedTouches[0].clientY);
       isDraggingRef.current = false;
       hasDraggedRef.current = false;
       pinchStartRef.current = null;
     };
 
+    // Keyboard: arrows cycle spheres at the current level, Enter opens,
+    // Escape steps back one level
+    focusIndexRef.current = -1;
+    const onKD = (e) => {
+      const moons = nodesRef.current.filter(
+        (mesh) => mesh.userData.parentKey === activeKey,
+      );
+      const count = moons.length;
+
+      if (e.key === "Escape") {
+        if (activeKey) onUp?.();
+        else return;
+      } else if (
+        ["ArrowRight", "ArrowDown", "ArrowLeft", "ArrowUp"].includes(e.key)
+      ) {
+        if (!count) return;
+        const step = e.key === "ArrowRight" || e.key === "ArrowDown" ? 1 : -1;
+        const cur = focusIndexRef.current;
+        focusIndexRef.current =
+          cur < 0 ? (step > 0 ? 0 : count - 1) : (cur + step + count) % count;
+      } else if (e.key === "Enter" || e.key === " ") {
+        const i = focusIndexRef.current;
+        if (i < 0 || i >= count) return;
+        onNavigate?.(moons[i].userData.path);
+      } else {
+        return;
+      }
+      e.preventDefault();
+    };
+    const onBlur = () => {
+      focusIndexRef.current = -1;
+    };
+
+    canvas.addEventListener("keydown", onKD);
+    canvas.addEventListener("blur", onBlur);
     canvas.addEventListener("mousedown", onMD);
     window.addEventListener("mousemove", onMM);
     window.addEventListener("mouseup", onMU);
@@ -622,6 +709,9 @@ function Scene3D({
     canvas.addEventListener("touchmove", onTM, { passive: false });
     canvas.addEventListener("touchend", onTE);
     return () => {
+      clearTimeout(longPress.timer);
+      canvas.removeEventListener("keydown", onKD);
+      canvas.removeEventListener("blur", onBlur);
       canvas.removeEventListener("mousedown", onMD);
       window.removeEventListener("mousemove", onMM);
       window.removeEventListener("mouseup", onMU);
@@ -630,386 +720,148 @@ function Scene3D({
       canvas.removeEventListener("touchmove", onTM);
       canvas.removeEventListener("touchend", onTE);
     };
-  }, [activeSection, activeLink, onClickSection, onClickSubSphere]);
+  }, [activeKey, onNavigate, onUp]);
+
+  useEffect(() => {
+    reducedMotionRef.current = reducedMotion;
+  }, [reducedMotion]);
 
-  // Camera fly triggers for both zoom levels
-  const prevSectionRef = useRef(null);
-  const prevLinkRef = useRef(null);
+  // Camera fly triggers, for a node at any depth or the overview
+  const prevPathRef = useRef([]);
   const mountedRef = useRef(false);
 
   useEffect(() => {
     const anim = cameraAnimRef.current;
     const camera = cameraRef.current;
     if (!camera) return;
+    const prevPath = prevPathRef.current;
+    prevPathRef.current = activePath;
 
-    // Skip initial mount
+    // Skip initial mount, unless the URL already points into a section
     if (!mountedRef.current) {
       mountedRef.current = true;
-      prevSectionRef.current = activeSection;
-      prevLinkRef.current = activeLink;
-      return;
+      if (!activePath.length) return;
     }
 
-    if (activeLink && activeSection) {
-      // Level 2: fly to sub-sphere
-      const sIdx = SECTIONS.findIndex((s) => s.id === activeSection);
-      const lIdx =
-        sIdx >= 0
-          ? SECTIONS[sIdx].links.findIndex((l) => l.id === activeLink)
-          : -1;
-      if (sIdx >= 0 && lIdx >= 0) {
-        anim.active = true;
-        anim.phase = "flyToSub";
-        anim.startPos = camera.position.clone();
-        anim.startLookAt = anim.currentLookAt
-          ? anim.currentLookAt.clone()
-          : spheresRef.current[sIdx].position.clone();
-        anim.targetSectionIndex = sIdx;
-        anim.targetLinkIndex = lIdx;
-        anim.progress = 0;
-        anim.duration = 1.8;
-      }
-    } else if (activeSection && !activeLink) {
-      // Level 1: fly to parent (or returning from sub)
-      const idx = SECTIONS.findIndex((s) => s.id === activeSection);
+    // Mid-flight, the new flight sets off from where the camera is, at the
+    // speed it's going. A reduced-motion cut keeps its fade level instead.
+    const retarget = anim.active;
+    const cut = reducedMotionRef.current;
+    if (cut) anim.carry.set(0, 0, 0);
+    else anim.carry.copy(anim.velocity);
+    const startProgress =
+      retarget && cut ? Math.min(anim.progress, 1 - anim.progress) : 0;
+
+    if (activePath.length) {
+      // Nodes with moons are framed from a distance, leaves flown right up to
+      const target = nodeByKeyRef.current.get(activePath.join("/"));
+      if (!target) return;
       anim.active = true;
-      anim.phase = "flyToParent";
-      anim.startPos = camera.position.clone();
-      anim.startLookAt = anim.currentLookAt
-        ? anim.currentLookAt.clone()
-        : new THREE.Vector3(0, 0, 0);
-      anim.targetSectionIndex = idx;
-      anim.targetLinkIndex = -1;
-      anim.progress = 0;
-      anim.duration = prevLinkRef.current ? 1.5 : 2.5; // faster if coming back from sub
-    } else if (!activeSection && !activeLink && prevSectionRef.current) {
-      // Level 0: fly home (only if we were in a section before)
-      const phi = rotationRef.current.x;
-      const theta = rotationRef.current.y;
-      const r = zoomRef.current;
-      const homePos = new THREE.Vector3(
-        r * Math.cos(phi) * Math.sin(theta),
-        r * Math.sin(phi),
-        r * Math.cos(phi) * Math.cos(theta),
+      anim.phase = target.userData.hasChildren ? "flyToParent" : "flyToSub";
+      anim.flight = planFlight(
+        camera.position,
+        parkedCameraPos(target, SCENE.camera),
+        flightObstacles(nodesRef.current),
       );
+      anim.startLookAt = anim.currentLookAt.clone();
+      anim.targetKey = target.userData.key;
+      anim.progress = startProgress;
+      anim.duration = flightDuration(prevPath, activePath);
+    } else if (prevPath.length) {
+      // Fly home (only if we were in a section before), riding the torus
+      // out of it when leaving from a parked camera
+      const homePos = homeCameraPos(rotationRef.current, zoomRef.current);
+      const section = !retarget && nodeByKeyRef.current.get(prevPath[0]);
       anim.active = true;
       anim.phase = "flyHome";
-      anim.startPos = camera.position.clone();
-      anim.endPos = homePos;
-      anim.startLookAt = anim.currentLookAt
-        ? anim.currentLookAt.clone()
-        : new THREE.Vector3(0, 0, 0);
+      anim.flight = planFlight(
+        camera.position,
+        homePos,
+        flightObstacles(nodesRef.current),
+        section ? homeWaypoints(section, homePos) : [],
+      );
+      anim.startLookAt = anim.currentLookAt.clone();
       anim.endLookAt = new THREE.Vector3(0, 0, 0);
-      anim.targetSectionIndex = -1;
-      anim.targetLinkIndex = -1;
-      anim.progress = 0;
+      anim.targetKey = null;
+      anim.progress = startProgress;
       anim.duration = 2.0;
     }
+  }, [activePath]);
 
-    prevSectionRef.current = activeSection;
-    prevLinkRef.current = activeLink;
-  }, [activeSection, activeLink]);
-
-  // Render loop
+  // Render loop: stepScene moves everything, from what the refs hold now;
+  // what it reports goes on to React, as fresh objects only while there's
+  // something to show
+  const frameRef = useRef(null);
   const animate = useCallback(
     (time, delta) => {
       if (!rendererRef.current || !sceneRef.current || !cameraRef.current)
         return;
+      // The fallback map drives the overlays until the scene is remounted
+      if (contextLostRef.current) return;
       // Wait for scene init to complete
-      if (!spheresRef.current.length || !subSpheresRef.current.length) return;
+      if (!nodesRef.current.length) return;
+      // Content hot-reloaded but the sphere effect hasn't rebuilt meshes yet
+      if (builtFromRef.current !== SECTIONS) return;
 
-      const camera = cameraRef.current;
+      const frame = (frameRef.current ??= createFrame());
       const anim = cameraAnimRef.current;
-      const lineMat = meshesRef.current.lineMaterial;
-
-      // Auto-rotate
-      if (!isDraggingRef.current && !anim.active && !activeSection) {
-        autoRotateRef.current += delta * 0.15;
-        targetRotationRef.current.y = autoRotateRef.current;
-      } else if (isDraggingRef.current) {
-        autoRotateRef.current = targetRotationRef.current.y;
-      }
-      rotationRef.current.x +=
-        (targetRotationRef.current.x - rotationRef.current.x) * 0.05;
-      rotationRef.current.y +=
-        (targetRotationRef.current.y - rotationRef.current.y) * 0.05;
-      zoomRef.current += (targetZoomRef.current - zoomRef.current) * 0.05;
-
-      // Camera animation
-      if (anim.active) {
-        anim.progress += delta / anim.duration;
-        if (anim.progress >= 1) {
-          anim.progress = 1;
-          anim.active = false;
-        }
-        const t = easeInOutCubic(anim.progress);
-
-        if (anim.phase === "flyToParent" && anim.targetSectionIndex >= 0) {
-          const sphere = spheresRef.current[anim.targetSectionIndex];
-          const pos = sphere.position.clone();
-          const dir = pos.clone().normalize();
-          const endPos = pos
-            .clone()
-            .add(dir.multiplyScalar(0.6))
-            .add(new THREE.Vector3(0, 0.15, 0));
-          camera.position.lerpVectors(anim.startPos, endPos, t);
-          const lookAt = new THREE.Vector3().lerpVectors(
-            anim.startLookAt,
-            pos,
-            t,
-          );
-          camera.lookAt(lookAt);
-          anim.currentLookAt = lookAt.clone();
-        } else if (
-          anim.phase === "flyToSub" &&
-          anim.targetSectionIndex >= 0 &&
-          anim.targetLinkIndex >= 0
-        ) {
-          const sub =
-            subSpheresRef.current[anim.targetSectionIndex][
-              anim.targetLinkIndex
-            ];
-          const subPos = sub.position.clone();
-          const dir = subPos.clone().normalize();
-          const endPos = subPos
-            .clone()
-            .add(dir.multiplyScalar(0.15))
-            .add(new THREE.Vector3(0, 0.04, 0));
-          camera.position.lerpVectors(anim.startPos, endPos, t);
-          const lookAt = new THREE.Vector3().lerpVectors(
-            anim.startLookAt,
-            subPos,
-            t,
-          );
-          camera.lookAt(lookAt);
-          anim.currentLookAt = lookAt.clone();
-        } else {
-          camera.position.lerpVectors(anim.startPos, anim.endPos, t);
-          const lookAt = new THREE.Vector3().lerpVectors(
-            anim.startLookAt,
-            anim.endLookAt,
-            t,
-          );
-          camera.lookAt(lookAt);
-          anim.currentLookAt = lookAt.clone();
-        }
-        if (onCameraProgress) onCameraProgress(anim.phase, anim.progress);
-      } else if (!activeSection) {
-        // Home orbit — full spherical
-        const phi = rotationRef.current.x; // vertical angle (elevation)
-        const theta = rotationRef.current.y; // horizontal angle (azimuth)
-        const r = zoomRef.current;
-        camera.position.set(
-          r * Math.cos(phi) * Math.sin(theta),
-          r * Math.sin(phi),
-          r * Math.cos(phi) * Math.cos(theta),
-        );
-        // Flip up-vector when camera goes past the poles to prevent snapping
-        const up = Math.cos(phi) >= 0 ? 1 : -1;
-        camera.up.set(0, up, 0);
-        camera.lookAt(0, 0, 0);
-        if (onCameraProgress) onCameraProgress("home", 0);
-      } else if (activeSection && !activeLink) {
-        // Parked at parent
-        const idx = SECTIONS.findIndex((s) => s.id === activeSection);
-        if (idx >= 0) {
-          const sphere = spheresRef.current[idx];
-          const pos = sphere.position.clone();
-          const dir = pos.clone().normalize();
-          const breathe = Math.sin(time * 0.4) * 0.01;
-          const target = pos
-            .clone()
-            .add(dir.multiplyScalar(0.6))
-            .add(new THREE.Vector3(0, 0.15 + breathe, 0));
-          camera.position.lerp(target, 0.03);
-          camera.lookAt(pos);
-        }
-        if (onCameraProgress) onCameraProgress("parkedAtParent", 0);
-      } else if (activeLink) {
-        // Parked at sub-sphere
-        const sIdx = SECTIONS.findIndex((s) => s.id === activeSection);
-        const lIdx =
-          sIdx >= 0
-            ? SECTIONS[sIdx].links.findIndex((l) => l.id === activeLink)
-            : -1;
-        if (sIdx >= 0 && lIdx >= 0) {
-          const sub = subSpheresRef.current[sIdx][lIdx];
-          const subPos = sub.position.clone();
-          const dir = subPos.clone().normalize();
-          const breathe = Math.sin(time * 0.3) * 0.005;
-          const target = subPos
-            .clone()
-            .add(dir.multiplyScalar(0.15))
-            .add(new THREE.Vector3(0, 0.04 + breathe, 0));
-          camera.position.lerp(target, 0.03);
-          camera.lookAt(subPos);
-        }
-        if (onCameraProgress) onCameraProgress("parkedAtSub", 0);
+      frame.camera = cameraRef.current;
+      frame.anim = anim;
+      frame.nodes = nodesRef.current;
+      frame.byKey = nodeByKeyRef.current;
+      frame.batches = batchesRef.current;
+      frame.arcs = constellationLinesRef.current;
+      frame.lineMaterial = meshesRef.current.lineMaterial;
+      frame.torusPosition = getTorusPosition;
+      frame.config = SCENE;
+      frame.activeKey = activeKey;
+      frame.showConstellation = showConstellation;
+      frame.reducedMotion = reducedMotion;
+      frame.dragging = isDraggingRef.current;
+      frame.focusIndex = focusIndexRef.current;
+      frame.hoverKey = hoverKeyRef.current;
+      frame.hoverArc = hoverArcRef.current;
+      frame.width = window.innerWidth;
+      frame.height = window.innerHeight;
+      frame.rotation = rotationRef.current;
+      frame.targetRotation = targetRotationRef.current;
+      frame.autoRotate = autoRotateRef.current;
+      frame.zoom = zoomRef.current;
+      frame.targetZoom = targetZoomRef.current;
+      stepScene(frame, time, delta);
+      autoRotateRef.current = frame.autoRotate;
+      zoomRef.current = frame.zoom;
+
+      if (frame.phase && onCameraProgress)
+        onCameraProgress(frame.phase, frame.progress);
+
+      if (frame.hover.path || frame.hover.edge) {
+        onHover?.({ ...frame.hover });
+        hoverShownRef.current = true;
+      } else if (hoverShownRef.current) {
+        onHover?.(null);
+        hoverShownRef.current = false;
       }
 
-      // Update parent spheres
-      spheresRef.current.forEach((sphere, index) => {
-        const section = SECTIONS[index];
-        if (!section) return;
-        const progress =
-          (((time * section.orbitSpeed + section.orbitOffset) % 1) + 1) % 1;
-        sphere.position.copy(getTorusPosition(progress));
-
-        sphere.scale.setScalar(1 + Math.sin(time * 2 + index * 2) * 0.06);
-        if (sphere.children[0]) sphere.children[0].lookAt(camera.position);
-
-        const mat = sphere.userData.sphereMaterial;
-        const ringMat = sphere.userData.ringMaterial;
-        if (activeSection) {
-          const isActive = section.id === activeSection;
-          mat.opacity +=
-            ((isActive ? (activeLink ? 0.12 : 0.25) : 0.06) - mat.opacity) *
-            0.05;
-          ringMat.opacity +=
-            ((isActive ? (activeLink ? 0.2 : 0.5) : 0.03) - ringMat.opacity) *
-            0.05;
-          if (isActive && !activeLink)
-            sphere.scale.setScalar(2.0 + Math.sin(time * 1.2) * 0.2);
-        } else {
-          mat.opacity += (1 - mat.opacity) * 0.05;
-          ringMat.opacity += (0.25 - ringMat.opacity) * 0.05;
-        }
-      });
-
-      // Update sub-spheres
-      subSpheresRef.current.forEach((subs, sIdx) => {
-        const parent = spheresRef.current[sIdx];
-        const section = SECTIONS[sIdx];
-        if (!parent || !section) return;
-        const isActiveSection = activeSection === section.id;
-
-        const baseScale = isActiveSection ? 1.0 : 0.45;
-        const baseOrbitR = isActiveSection ? 0.3 : 0.18;
-
-        subs.forEach((sub, lIdx) => {
-          const isActiveLink =
-            isActiveSection && activeLink === section.links[lIdx].id;
-          const subMat = sub.userData.subMaterial;
-          const subRingMat = sub.userData.subRingMaterial;
-
-          // Opacity: active link sphere glows, siblings dim
-          let targetOp = 0.8;
-          if (activeLink && isActiveSection) {
-            targetOp = isActiveLink ? 1.0 : 0.15;
-          } else if (isActiveSection) {
-            targetOp = 0.95;
-          }
-          subMat.opacity += (targetOp - subMat.opacity) * 0.06;
-          subRingMat.opacity +=
-            ((isActiveLink ? 0.5 : isActiveSection ? 0.35 : 0.2) -
-              subRingMat.opacity) *
-            0.06;
-
-          // Orbit params (seeded randomness)
-          const seed = subSeed(sIdx, lIdx);
-          const orbitSpeed = 0.18 + seededVal(seed, 17) * 0.22;
-          const tiltAngle = 0.4 + seededVal(seed, 31) * 1.2;
-          const tiltAxis = seededVal(seed, 43) * Math.PI * 2;
-          const orbitDir = (seed * 53) % 2 === 0 ? 1 : -1;
-          const radiusVar = 0.85 + seededVal(seed, 61) * 0.3;
-          const startAngle = seededVal(seed, 71) * Math.PI * 2;
-
-          // Active link sphere gets bigger orbit + scale
-          const targetScale = isActiveLink ? 2.5 : baseScale;
-          const targetOrbitR = isActiveLink ? 0.1 : baseOrbitR * radiusVar;
-
-          if (!sub.userData._cOrbitR) sub.userData._cOrbitR = targetOrbitR;
-          sub.userData._cOrbitR +=
-            (targetOrbitR - sub.userData._cOrbitR) * 0.04;
-
-          if (!sub.userData._cScale) sub.userData._cScale = targetScale;
-          sub.userData._cScale += (targetScale - sub.userData._cScale) * 0.05;
-
-          const parentPos = parent.position.clone();
-          const angle = startAngle + time * orbitSpeed * orbitDir;
-          const oR = sub.userData._cOrbitR;
-          const lx = Math.cos(angle) * oR;
-          const lz = Math.sin(angle) * oR;
-          const cosT = Math.cos(tiltAngle),
-            sinT = Math.sin(tiltAngle);
-          const cosA = Math.cos(tiltAxis),
-            sinA = Math.sin(tiltAxis);
-          const x = lx * cosA - lz * sinA;
-          const flat = lx * sinA + lz * cosA;
-          sub.position.set(
-            parentPos.x + x,
-            parentPos.y + flat * sinT,
-            parentPos.z + flat * cosT,
-          );
-
-          const pulse =
-            1 +
-            Math.sin(time * (2.0 + seededVal(seed, 83) * 1.5) + seed) * 0.08;
-          sub.scale.setScalar(sub.userData._cScale * pulse);
-
-          if (sub.children[0]) sub.children[0].lookAt(camera.position);
-        });
-      });
-
-      // Torus line opacity
-      if (lineMat) {
-        const target = activeLink ? 0.04 : activeSection ? 0.1 : 1;
-        lineMat.opacity += (target - lineMat.opacity) * 0.04;
-      }
-
-      // Constellation lines — update positions and opacity
-      constellationLinesRef.current.forEach((line, i) => {
-        const nextI = (i + 1) % SECTIONS.length;
-        if (!spheresRef.current[i] || !spheresRef.current[nextI]) return;
-        const p1 = spheresRef.current[i].position;
-        const p2 = spheresRef.current[nextI].position;
-
-        const positions = line.geometry.attributes.position.array;
-        positions[0] = p1.x;
-        positions[1] = p1.y;
-        positions[2] = p1.z;
-        positions[3] = p2.x;
-        positions[4] = p2.y;
-        positions[5] = p2.z;
-        line.geometry.attributes.position.needsUpdate = true;
-
-        // Fade based on showConstellation prop and activeSection
-        const targetOpacity = showConstellation && !activeSection ? 0.35 : 0;
-        line.material.opacity += (targetOpacity - line.material.opacity) * 0.08;
-
-        // Hard cutoff — actually hide when nearly invisible
-        line.visible = line.material.opacity > 0.01;
-      });
+      // The same empty list every frame lets React skip the update
+      onSubSphereScreenPositions?.(
+        frame.moonCount
+          ? frame.moons.slice(0, frame.moonCount).map((moon) => ({ ...moon }))
+          : NO_MOONS,
+      );
 
-      // Report sub-sphere screen positions
-      if (onSubSphereScreenPositions && activeSection && !activeLink) {
-        const idx = SECTIONS.findIndex((s) => s.id === activeSection);
-        if (idx >= 0) {
-          const positions = subSpheresRef.current[idx].map((sub) => {
-            const sp = sub.position.clone().project(camera);
-            return {
-              x: ((sp.x + 1) / 2) * window.innerWidth,
-              y: ((-sp.y + 1) / 2) * window.innerHeight,
-              z: sp.z,
-              opacity: sub.userData.subMaterial.opacity,
-            };
-          });
-          onSubSphereScreenPositions(positions);
-        }
-      } else if (onSubSphereScreenPositions) {
-        onSubSphereScreenPositions([]);
-      }
+      canvasRef.current.style.opacity =
+        reducedMotion && anim.active ? Math.abs(1 - 2 * anim.progress) : 1;
 
-      rendererRef.current.render(sceneRef.current, camera);
+      rendererRef.current.render(sceneRef.current, frame.camera);
     },
     [
-      activeSection,
-      activeLink,
+      activeKey,
       showConstellation,
+      reducedMotion,
       onCameraProgress,
       onSubSphereScreenPositions,
-      onClickSection,
-      onClickSubSphere,
+      onHover,
     ],
   );
 
@@ -1018,6 +870,8 @@ function Scene3D({
   return (
     <canvas
       ref={canvasRef}
+      tabIndex={0}
+      aria-label={t("scene.label")}
       style={{
         position: "fixed",
         top: 0,
@@ -1026,36 +880,345 @@ function Scene3D({
         height: "100%",
         zIndex: 1,
         touchAction: "none",
+        outline: "none",
       }}
     />
   );
 }
 
 // ============================================================
-// SUB-SPHERE LABELS (Level 1 only)
+// SCENE FALLBACK (no WebGL, or a lost context)
 // ============================================================
+// A flat map in place of the canvas: the torus seen from the overview
+// camera, with a dot per section, and the focused node's moons on a circle.
+// Navigation is instant, so every step reports a parked phase, and the
+// overlays (SubSphereLabels, LinkPanel) work as they do over the scene.
+// The torus as an SVG path and each section's spot on it, seen from the
+// overview camera at rest (no spin, default tilt and distance)
+function torusMap(sections, width, height) {
+  const { fov, distance } = SCENE.camera;
+  const camera = new THREE.PerspectiveCamera(fov, width / height, 0.01, 100);
+  camera.position.set(0, distance * Math.sin(0.3), distance * Math.cos(0.3));
+  camera.lookAt(0, 0, 0);
+  camera.updateMatrixWorld();
+  const path = generateTorusPoints(SCENE.torus)
+    .points.map((point, i) => {
+      const { x, y } = projectToScreen(point, camera, width, height);
+      return `${i ? "L" : "M"}${x.toFixed(1)} ${y.toFixed(1)}`;
+    })
+    .join(" ");
+  const spots = sections.map((section) =>
+    projectToScreen(
+      getTorusPosition(section.orbitOffset, new THREE.Vector3()),
+      camera,
+      width,
+      height,
+    ),
+  );
+  return { path, spots };
+}
+
+// Moons evenly around a circle at the center of the screen, first at the top
+function moonSpots(count, width, height) {
+  const radius = Math.min(width, height) * 0.3;
+  return Array.from({ length: count }, (_, i) => {
+    const angle = (i / count) * Math.PI * 2 - Math.PI / 2;
+    return {
+      x: width / 2 + Math.cos(angle) * radius,
+      y: height / 2 + Math.sin(angle) * radius,
+    };
+  });
+}
+
+function SceneFallback({
+  activePath,
+  theme,
+  onCameraProgress,
+  onSubSphereScreenPositions,
+  onNavigate,
+}) {
+  const sections = useSections();
+  useScene(); // redraw when the torus is tuned
+  const [size, setSize] = useState(() => ({
+    width: window.innerWidth,
+    height: window.innerHeight,
+  }));
+
+  useEffect(() => {
+    const onResize = () =>
+      setSize({ width: window.innerWidth, height: window.innerHeight });
+    window.addEventListener("resize", onResize);
+    return () => window.removeEventListener("resize", onResize);
+  }, []);
+
+  const { width, height } = size;
+  const nodes = resolvePath(activePath, sections);
+  const focus = nodes.at(-1);
+  const moons = focus?.links ?? [];
+
+  // Navigation lands at once: report a finished flight, then the parked
+  // phase on the next frame (App takes queued steps when the phase changes
+  // to parked), and where the moons sit, for the overlays
+  useEffect(() => {
+    const [flight, parked] = !focus
+      ? ["flyHome", "home"]
+      : focus.links?.length
+        ? ["flyToParent", "parkedAtParent"]
+        : ["flyToSub", "parkedAtSub"];
+    onCameraProgress?.(flight, 1);
+    const frame = requestAnimationFrame(() => onCameraProgress?.(parked, 0));
+    onSubSphereScreenPositions?.(
+      moonSpots(focus?.links?.length ?? 0, width, height).map((spot) => ({
+        ...spot,
+        z: 0,
+        opacity: 1,
+      })),
+    );
+    return () => cancelAnimationFrame(frame);
+  }, [focus, width, height, onCameraProgress, onSubSphereScreenPositions]);
+
+  const map = torusMap(sections, width, height);
+  const go = (path) => (e) => {
+    e.preventDefault();
+    onNavigate?.(path);
+  };
+
+  return (
+    <svg
+      aria-label={t("fallback.label")}
+      viewBox={`0 0 ${width} ${height}`}
+      style={{
+        position: "fixed",
+        top: 0,
+        left: 0,
+        width: "100%",
+        height: "100%",
+        zIndex: 1,
+        fontFamily: "'EB Garamond', Georgia, serif",
+      }}
+    >
+      <path
+        d={map.path}
+        fill="none"
+        stroke={theme.torus}
+        strokeWidth={1}
+        opacity={focus ? 0.08 : 0.5}
+      />
+      {sections.map((section, i) => {
+        const { x, y } = map.spots[i];
+        const color = theme.accent(section.color);
+        return (
+          <a
+            key={section.id}
+            href={routeToHash([section.id])}
+            onClick={go([section.id])}
+            opacity={!focus || section === nodes[0] ? 1 : 0.25}
+          >
+            <circle
+              cx={x}
+              cy={y}
+              r={section === nodes[0] ? 12 : 9}
+              fill={color}
+            />
+            <text
+              x={x}
+              y={y + 28}
+              textAnchor="middle"
+              fill={color}
+              fontSize={12}
+              letterSpacing="0.15em"
+              style={{ textTransform: "uppercase" }}
+            >
+              {nodeLabel(section)}
+            </text>
+          </a>
+        );
+      })}
+      {moonSpots(moons.length, width, height).map(({ x, y }, i) => {
+        const link = moons[i];
+        const color = theme.accent(nodes[0].color);
+        return (
+          <a
+            key={link.id}
+            href={routeToHash([...activePath, link.id])}
+            onClick={go([...activePath, link.id])}
+            aria-label={nodeLabel(link)}
+          >
+            {/* Outbound links keep the scene's broken ring */}
+            <circle
+              cx={x}
+              cy={y}
+              r={11}
+              fill="none"
+              stroke={color}
+              strokeOpacity={0.35}
+              strokeWidth={2}
+              strokeDasharray={outbound(link) ? "50 19" : undefined}
+            />
+            <circle cx={x} cy={y} r={7} fill={color} />
+          </a>
+        );
+      })}
+    </svg>
+  );
+}
+
+// ============================================================
+// SUB-SPHERE LABELS (while parked at a node with moons)
+// ============================================================
+// Labels sit under their moon unless that would overlap another label or
+// the node's title; then they move to the first free slot around it and a
+// leader line connects them. A label keeps its slot while it stays free,
+// so labels don't hop as the moons orbit.
+const LABEL_GAP = 18; // px from a moon's center to its label
+const LABEL_PAD = { x: 0.6, y: 0.4 }; // em, matches the label's padding
+
+// Measured once per label text, until the font size changes (the labels'
+// size follows the viewport) or a webfont arrives: widths taken before EB
+// Garamond loaded are the Georgia fallback's
+let _measureContext = null;
+const _labelWidths = new Map();
+let _labelWidthsSize = 0;
+document.fonts?.addEventListener("loadingdone", () => _labelWidths.clear());
+function labelWidth(text, fontSize) {
+  if (fontSize !== _labelWidthsSize) {
+    _labelWidths.clear();
+    _labelWidthsSize = fontSize;
+  }
+  let width = _labelWidths.get(text);
+  if (width !== undefined) return width;
+  _measureContext ??= document.createElement("canvas").getContext("2d");
+  _measureContext.font = `${fontSize}px 'EB Garamond', Georgia, serif`;
+  const upper = text.toUpperCase();
+  width =
+    _measureContext.measureText(upper).width +
+    upper.length * 0.12 * fontSize + // letter-spacing
+    LABEL_PAD.x * 2 * fontSize;
+  _labelWidths.set(text, width);
+  return width;
+}
+
+// Box centers relative to the moon: below (the default), above, right,
+// left, then further below and above
+function labelSlotOffsets(w, h) {
+  const below = LABEL_GAP + h / 2;
+  return [
+    [0, below],
+    [0, -below],
+    [w / 2 + LABEL_GAP, 0],
+    [-(w / 2 + LABEL_GAP), 0],
+    ...[1, 2, 3].flatMap((k) => [
+      [0, below + k * h],
+      [0, -(below + k * h)],
+    ]),
+  ];
+}
+
+function overlaps(a, b) {
+  return (
+    Math.abs(a.x - b.x) * 2 < a.w + b.w && Math.abs(a.y - b.y) * 2 < a.h + b.h
+  );
+}
+
+// Place each label (in order) in its remembered slot (link key → slot index)
+// if free, else the first free one; if none is, the default slot. Returns
+// boxes centered at x, y.
+function layoutLabels(labels, obstacles, slots) {
+  const placed = [...obstacles];
+  return labels.map(({ key, x, y, w, h }) => {
+    const offsets = labelSlotOffsets(w, h);
+    const remembered = slots.get(key) ?? 0;
+    const order = [remembered, ...offsets.keys()];
+    const boxAt = (slot) => ({
+      x: x + offsets[slot][0],
+      y: y + offsets[slot][1],
+      w,
+      h,
+      slot,
+    });
+    const box =
+      order.map(boxAt).find((b) => !placed.some((p) => overlaps(b, p))) ??
+      boxAt(0);
+    placed.push(box);
+    return box;
+  });
+}
+
+function sameSlots(a, b) {
+  if (a.size !== b.size) return false;
+  for (const [key, slot] of a) if (b.get(key) !== slot) return false;
+  return true;
+}
+
 function SubSphereLabels({
-  activeSection,
-  activeLink,
+  activePath,
+  theme,
   positions,
   cameraPhase,
   cameraProgress,
-  onClickSubSphere,
+  onNavigate,
+  reducedMotion,
 }) {
-  if (!activeSection || activeLink || !positions || !positions.length)
-    return null;
+  // Slots the labels on screen took last render, by link key. Kept in state
+  // per mount, so labels that left the screen drop out and a repeated render
+  // (StrictMode, concurrent) reads the same memory.
+  const [slots, setSlots] = useState(() => new Map());
+
+  if (!positions || !positions.length) return null;
 
-  const sectionData = SECTIONS.find((s) => s.id === activeSection);
-  if (!sectionData) return null;
+  const nodes = resolvePath(activePath);
+  const nodeData = nodes.at(-1);
+  if (!nodeData?.links?.length) return null;
+  const color = theme.accent(nodes[0].color);
 
+  // Reduced-motion cuts fade the canvas out over the first half and back in
+  // over the second, so labels follow the same curve
+  const fadeInFrom = reducedMotion ? 0.5 : 0.8;
   const op =
     cameraPhase === "flyToParent"
-      ? Math.max(0, (cameraProgress - 0.8) / 0.2)
+      ? Math.max(0, (cameraProgress - fadeInFrom) / (1 - fadeInFrom))
       : cameraPhase === "flyHome"
-        ? Math.max(0, 1 - cameraProgress * 4)
+        ? Math.max(0, 1 - cameraProgress * (reducedMotion ? 2 : 4))
         : 1;
   if (op <= 0) return null;
 
+  // Same clamps as the styles below, in px
+  const rem = 16;
+  const vw = window.innerWidth / 100;
+  const fontSize = Math.min(Math.max(0.6 * rem, 1.6 * vw), 0.65 * rem);
+  const titleSize = Math.min(Math.max(1.6 * rem, 5 * vw), 3 * rem);
+  const title = nodeLabel(nodeData);
+  const titleBox = {
+    x: window.innerWidth / 2,
+    y: window.innerHeight / 2,
+    w: title.length * titleSize * 0.95,
+    h: titleSize * 1.3,
+  };
+
+  const shown = positions
+    .map((pos, i) => {
+      if (!pos || pos.z > 1 || i >= nodeData.links.length) return null;
+      const link = nodeData.links[i];
+      const o = Math.min(op, pos.opacity || 0);
+      if (o < 0.1) return null;
+      const text =
+        nodeLabel(link) + (outbound(link) ? ` ${outbound(link).icon}` : "");
+      return {
+        link,
+        text,
+        o,
+        key: [...activePath, link.id].join("/"),
+        x: pos.x,
+        y: pos.y,
+        w: labelWidth(text, fontSize),
+        h: fontSize * (1.2 + LABEL_PAD.y * 2),
+      };
+    })
+    .filter(Boolean);
+  const boxes = layoutLabels(shown, [titleBox], slots);
+  const placedSlots = new Map(shown.map(({ key }, i) => [key, boxes[i].slot]));
+  if (!sameSlots(slots, placedSlots)) setSlots(placedSlots);
+
   return (
     <div
       style={{
@@ -1079,29 +1242,57 @@ function SubSphereLabels({
           fontWeight: 300,
           letterSpacing: "0.25em",
           textTransform: "uppercase",
-          color: sectionData.color,
+          color,
           opacity: op * 0.7,
           textShadow:
-            "0 0 40px rgba(248,248,248,0.95), 0 0 80px rgba(248,248,248,0.6)",
+            "0 0 40px rgba(var(--bg-rgb),0.95), 0 0 80px rgba(var(--bg-rgb),0.6)",
           pointerEvents: "none",
         }}
       >
-        {sectionData.label}
+        {title}
       </div>
-      {positions.map((pos, i) => {
-        if (!pos || pos.z > 1 || i >= sectionData.links.length) return null;
-        const link = sectionData.links[i];
-        const o = Math.min(op, pos.opacity || 0);
-        if (o < 0.1) return null;
+      {/* Leader lines from moved labels back to their moons */}
+      <svg
+        aria-hidden="true"
+        style={{ position: "fixed", inset: 0, width: "100%", height: "100%" }}
+      >
+        {shown.map(({ key, x, y, o }, i) => {
+          const box = boxes[i];
+          if (!box.slot) return null;
+          // End at the box edge nearest the moon
+          const ex = Math.min(
+            Math.max(x, box.x - box.w / 2),
+            box.x + box.w / 2,
+          );
+          const ey = Math.min(
+            Math.max(y, box.y - box.h / 2),
+            box.y + box.h / 2,
+          );
+          return (
+            <line
+              key={key}
+              x1={x}
+              y1={y}
+              x2={ex}
+              y2={ey}
+              stroke={color}
+              strokeWidth={1}
+              opacity={o * 0.5}
+            />
+          );
+        })}
+      </svg>
+      {shown.map(({ link, text, o }, i) => {
+        const box = boxes[i];
         return (
           <div
             key={link.id}
-            onClick={() => onClickSubSphere?.(sectionData.id, link.id)}
+            onClick={() => onNavigate?.([...activePath, link.id])}
             style={{
               position: "fixed",
-              left: `${pos.x}px`,
-              top: `${pos.y + 18}px`,
-              transform: "translateX(-50%)",
+              left: `${box.x}px`,
+              top: `${box.y}px`,
+              transform: "translate(-50%, -50%)",
               zIndex: 17,
               opacity: o * 0.85,
               cursor: "pointer",
@@ -1110,15 +1301,16 @@ function SubSphereLabels({
               fontSize: "clamp(0.6rem, 1.6vw, 0.65rem)",
               letterSpacing: "0.12em",
               textTransform: "uppercase",
-              color: sectionData.color,
-              textShadow: "0 0 8px rgba(248,248,248,0.9)",
+              color,
+              textShadow: "0 0 8px rgba(var(--bg-rgb),0.9)",
               textAlign: "center",
               userSelect: "none",
               whiteSpace: "nowrap",
-              padding: "0.4rem 0.6rem",
+              padding: `${LABEL_PAD.y}em ${LABEL_PAD.x}em`,
+              lineHeight: 1.2,
             }}
           >
-            {link.title}
+            {text}
           </div>
         );
       })}
@@ -1127,28 +1319,210 @@ function SubSphereLabels({
 }
 
 // ============================================================
-// LINK CONTENT PANEL (Level 2 — near-fullscreen)
+// HOVER PREVIEWS (sections at home, moons of the focused node, arcs)
+// ============================================================
+const PREVIEW_WIDTH = 260; // px
+
+// A description cut down to a card's worth, at a word boundary
+function excerpt(text, max = 140) {
+  if (!text || text.length <= max) return text;
+  const cut = text.lastIndexOf(" ", max);
+  return `${text.slice(0, cut > 0 ? cut : max)}…`;
+}
+
+function previewStyle(hover) {
+  return {
+    position: "fixed",
+    top: `${hover.y}px`,
+    zIndex: 18,
+    pointerEvents: "none",
+    fontFamily: "'EB Garamond', Georgia, serif",
+  };
+}
+
+// A card above the point, kept on screen near the edges
+function previewCardStyle(hover, color) {
+  const half = PREVIEW_WIDTH / 2 + 8;
+  const left = Math.min(Math.max(hover.x, half), window.innerWidth - half);
+  return {
+    ...previewStyle(hover),
+    left: `${left}px`,
+    width: `${PREVIEW_WIDTH}px`,
+    transform: "translate(-50%, calc(-100% - 1.5rem))",
+    padding: "0.8rem 1rem",
+    background: "rgba(var(--surface-rgb),0.95)",
+    backdropFilter: "blur(10px)",
+    WebkitBackdropFilter: "blur(10px)",
+    borderRadius: "8px",
+    borderTop: `2px solid ${color}`,
+    boxShadow:
+      "0 8px 30px rgba(0,0,0,0.1), 0 0 0 1px rgba(var(--ink-rgb),0.04)",
+  };
+}
+
+// Sections get their name above the planet; moons a card with subtitle and
+// the start of the description; constellation arcs the two ends they join
+// and their label. All mirror what the scene shows already, so they're
+// hidden from screen readers.
+function HoverPreview({ hover, theme }) {
+  if (!hover || hover.z > 1) return null;
+  if (hover.edge) return <EdgePreview hover={hover} theme={theme} />;
+  const nodes = resolvePath(hover.path);
+  if (nodes.length !== hover.path.length) return null;
+  const node = nodes.at(-1);
+  const color = theme.accent(nodes[0].color);
+  const common = previewStyle(hover);
+
+  if (nodes.length === 1)
+    return (
+      <div
+        aria-hidden="true"
+        style={{
+          ...common,
+          left: `${hover.x}px`,
+          transform: "translate(-50%, calc(-100% - 1.2rem))",
+          fontSize: "clamp(0.7rem, 1.8vw, 0.8rem)",
+          letterSpacing: "0.2em",
+          textTransform: "uppercase",
+          whiteSpace: "nowrap",
+          color,
+          textShadow: "0 0 8px rgba(var(--bg-rgb),0.9)",
+        }}
+      >
+        {nodeLabel(node)}
+      </div>
+    );
+
+  const description = excerpt(localized(node, "description"));
+  return (
+    <div aria-hidden="true" style={previewCardStyle(hover, color)}>
+      <div
+        style={{
+          fontSize: "0.95rem",
+          letterSpacing: "0.05em",
+          color: "var(--text)",
+        }}
+      >
+        {nodeLabel(node)}
+        {outbound(node) && ` ${outbound(node).icon}`}
+      </div>
+      {localized(node, "subtitle") && (
+        <div
+          style={{
+            marginTop: "0.2rem",
+            fontSize: "0.65rem",
+            letterSpacing: "0.15em",
+            textTransform: "uppercase",
+            color,
+          }}
+        >
+          {localized(node, "subtitle")}
+        </div>
+      )}
+      {description && (
+        <p
+          style={{
+            marginTop: "0.5rem",
+            fontSize: "0.8rem",
+            lineHeight: 1.5,
+            color: "var(--text-body)",
+          }}
+        >
+          {description}
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Each end as "Section › Link", and the edge's label underneath
+function EdgePreview({ hover, theme }) {
+  const ends = [hover.edge.from, hover.edge.to].map((idPath) =>
+    resolvePath(idPath.split("/")),
+  );
+  if (ends.some((nodes) => !nodes.length)) return null;
+  const color = theme.accent(ends[0][0].color);
+  const label = localized(hover.edge, "label");
+  return (
+    <div aria-hidden="true" style={previewCardStyle(hover, color)}>
+      <div
+        style={{
+          fontSize: "0.95rem",
+          letterSpacing: "0.05em",
+          color: "var(--text)",
+        }}
+      >
+        {ends
+          .map((nodes) => nodes.map((node) => nodeLabel(node)).join(" › "))
+          .join(" ↔ ")}
+      </div>
+      {label && (
+        <p
+          style={{
+            marginTop: "0.5rem",
+            fontSize: "0.8rem",
+            lineHeight: 1.5,
+            color: "var(--text-body)",
+          }}
+        >
+          {label}
+        </p>
+      )}
+    </div>
+  );
+}
+
+// ============================================================
+// LINK CONTENT PANEL (leaf links — near-fullscreen)
 // ============================================================
 function LinkPanel({
-  activeSection,
-  activeLink,
+  activePath,
+  theme,
   cameraPhase,
   cameraProgress,
   onBack,
+  reducedMotion,
 }) {
-  if (!activeSection || !activeLink) return null;
-
-  const sectionData = SECTIONS.find((s) => s.id === activeSection);
-  const linkData = sectionData?.links.find((l) => l.id === activeLink);
-  if (!sectionData || !linkData) return null;
-
+  const cardRef = useRef(null);
+  const bodyRef = useRef(null);
+
+  const nodes = resolvePath(activePath);
+  const sectionData = nodes[0];
+  // Only leaves open a panel; links with moons are flown into instead
+  const linkData =
+    nodes.length > 1 && !nodes.at(-1).links?.length ? nodes.at(-1) : null;
+  // Kicker above the title: "Dev", or "Dev · Projects" further down
+  const trail = nodes.slice(0, -1).map(nodeLabel).join(" · ");
+  const body = linkData && localized(linkData, "body");
+  const fadeInFrom = reducedMotion ? 0.5 : 0.6;
+  // "idle" is the scene before its first report: on a deep-link load the
+  // camera hasn't set off for the link yet, so the panel stays hidden
   const op =
-    cameraPhase === "flyToSub"
-      ? Math.max(0, (cameraProgress - 0.6) / 0.4)
-      : cameraPhase === "flyToParent" || cameraPhase === "flyHome"
-        ? Math.max(0, 1 - cameraProgress * 3)
-        : 1;
+    cameraPhase === "idle"
+      ? 0
+      : cameraPhase === "flyToSub"
+        ? Math.max(0, (cameraProgress - fadeInFrom) / (1 - fadeInFrom))
+        : cameraPhase === "flyToParent" || cameraPhase === "flyHome"
+          ? Math.max(0, 1 - cameraProgress * (reducedMotion ? 2 : 3))
+          : 1;
+  const open = !!(linkData && op > 0.5);
+
+  // Trap focus in the card while it's interactive, restore it on close
+  useFocusTrap(cardRef, open, onBack);
+
+  // Hold body images back until the camera has parked so decoding doesn't
+  // stutter the fly-in
+  useEffect(() => {
+    if (cameraPhase !== "parkedAtSub" || !bodyRef.current) return;
+    bodyRef.current.querySelectorAll("img[data-src]").forEach((img) => {
+      img.src = img.dataset.src;
+      img.removeAttribute("data-src");
+    });
+  }, [cameraPhase, body]);
+
+  if (!linkData) return null;
   if (op <= 0) return null;
+  const accent = theme.accent(sectionData.color);
 
   return (
     <div
@@ -1169,17 +1543,25 @@ function LinkPanel({
       }}
     >
       <div
+        ref={cardRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label={`${trail}: ${nodeLabel(linkData)}`}
+        tabIndex={-1}
         style={{
           width: "min(92vw, 600px)",
           maxHeight: "75vh",
-          background: "rgba(255,255,255,0.95)",
+          outline: "none",
+          background: "rgba(var(--surface-rgb),0.95)",
           backdropFilter: "blur(24px)",
           WebkitBackdropFilter: "blur(24px)",
           borderRadius: "clamp(10px, 2vw, 16px)",
           padding: "clamp(1.5rem, 4vw, 3.5rem)",
-          boxShadow: "0 12px 60px rgba(0,0,0,0.12), 0 0 0 1px rgba(0,0,0,0.04)",
+          boxShadow:
+            "0 12px 60px rgba(0,0,0,0.12), 0 0 0 1px rgba(var(--ink-rgb),0.04)",
           fontFamily: "'EB Garamond', Georgia, serif",
           overflow: "auto",
+          overscrollBehavior: "contain",
           WebkitOverflowScrolling: "touch",
         }}
       >
@@ -1188,54 +1570,103 @@ function LinkPanel({
             fontSize: "clamp(0.55rem, 1.5vw, 0.65rem)",
             letterSpacing: "0.2em",
             textTransform: "uppercase",
-            color: sectionData.color,
+            color: accent,
             opacity: 0.6,
             marginBottom: "0.5rem",
           }}
         >
-          {sectionData.label}
+          {trail}
         </div>
         <h1
           style={{
             fontSize: "clamp(1.6rem, 6vw, 3.5rem)",
             fontWeight: 300,
             letterSpacing: "0.1em",
-            color: "#1a1a1a",
+            color: "var(--text)",
             marginBottom: "0.5rem",
             lineHeight: 1.1,
           }}
         >
-          {linkData.title}
+          {nodeLabel(linkData)}
         </h1>
         <div
           style={{
             fontSize: "clamp(0.7rem, 2vw, 0.8rem)",
             letterSpacing: "0.05em",
-            color: sectionData.color,
+            color: accent,
             opacity: 0.7,
             marginBottom: "clamp(1.2rem, 3vw, 2rem)",
           }}
         >
-          {linkData.subtitle}
+          {localized(linkData, "subtitle")}
         </div>
         <p
           style={{
             fontSize: "clamp(0.9rem, 2.5vw, 1.15rem)",
             lineHeight: 1.7,
-            color: "#444",
+            color: "var(--text-body)",
             fontWeight: 400,
             maxWidth: "480px",
           }}
         >
-          {linkData.description}
+          {localized(linkData, "description")}
         </p>
+        {outbound(linkData) && (
+          <a
+            href={linkData.url}
+            target={linkData.type === "external" ? "_blank" : undefined}
+            rel={
+              linkData.type === "external" ? "noopener noreferrer" : undefined
+            }
+            download={linkData.type === "download" ? "" : undefined}
+            style={{
+              display: "inline-block",
+              marginTop: "clamp(1.2rem, 3vw, 2rem)",
+              background: accent,
+              border: `1px solid ${accent}`,
+              color: "var(--on-accent)",
+              padding: "0.7rem 2rem",
+              fontSize: "clamp(0.65rem, 1.8vw, 0.72rem)",
+              letterSpacing: "0.15em",
+              textTransform: "uppercase",
+              textDecoration: "none",
+              fontFamily: "'EB Garamond', Georgia, serif",
+              borderRadius: "6px",
+            }}
+          >
+            {localized(linkData, "cta") || t(`cta.${linkData.type}`)}{" "}
+            {outbound(linkData).icon}
+          </a>
+        )}
+        {linkData.form === "contact" && <ContactForm color={accent} />}
+        {linkData.schedule && (
+          <ScheduleView ics={linkData.schedule} color={accent} />
+        )}
+        {linkData.resume && (
+          <ResumeView resume={linkData.resume} color={accent} />
+        )}
+        {linkData.gallery && (
+          <GalleryGrid
+            images={linkData.gallery}
+            color={accent}
+            ready={cameraPhase !== "flyToSub"}
+          />
+        )}
+        {body && (
+          <div
+            ref={bodyRef}
+            className="link-body"
+            style={{ "--accent": accent }}
+            dangerouslySetInnerHTML={{ __html: body }}
+          />
+        )}
         <button
           onClick={onBack}
           style={{
             marginTop: "clamp(1.5rem, 3vw, 2.5rem)",
             background: "transparent",
-            border: `1px solid ${sectionData.color}33`,
-            color: sectionData.color,
+            border: `1px solid ${accent}33`,
+            color: accent,
             padding: "0.7rem 2rem",
             fontSize: "clamp(0.65rem, 1.8vw, 0.72rem)",
             letterSpacing: "0.15em",
@@ -1246,34 +1677,142 @@ function LinkPanel({
             transition: "all 0.25s ease",
           }}
           onMouseEnter={(e) => {
-            e.currentTarget.style.background = sectionData.color;
-            e.currentTarget.style.color = "#fff";
+            e.currentTarget.style.background = accent;
+            e.currentTarget.style.color = "var(--on-accent)";
           }}
           onMouseLeave={(e) => {
             e.currentTarget.style.background = "transparent";
-            e.currentTarget.style.color = sectionData.color;
+            e.currentTarget.style.color = accent;
           }}
         >
-          ← Back
+          {t("back")}
         </button>
       </div>
     </div>
   );
 }
 
+// ============================================================
+// SCREEN-READER MIRROR (offscreen landmark tree + live announcements)
+// ============================================================
+function describePhase(phase, nodes) {
+  const node = nodes.at(-1);
+  if (phase === "flyHome") return t("announce.home");
+  if (!node) return "";
+  switch (phase) {
+    case "flyToParent":
+    case "flyToSub":
+      return t("announce.opening", { name: nodeLabel(node) });
+    case "parkedAtParent":
+      return t("announce.parked", {
+        name: nodeLabel(node),
+        count: node.links.length,
+        titles: new Intl.ListFormat(LOCALE).format(node.links.map(nodeLabel)),
+      });
+    case "parkedAtSub":
+      return t("announce.leaf", {
+        trail: nodes.map(nodeLabel).join(", "),
+        subtitle: localized(node, "subtitle"),
+      });
+    default:
+      return "";
+  }
+}
+
+// List items for one level of the outline; links with moons nest a list
+function OutlineItems({ nodes, parentPath, activePath, onNavigate }) {
+  return nodes.map((node) => {
+    const path = [...parentPath, node.id];
+    return (
+      <li key={node.id}>
+        <a
+          href={routeToHash(path)}
+          aria-current={
+            samePath(path, activePath)
+              ? "page"
+              : isPathPrefix(path, activePath)
+                ? "location"
+                : undefined
+          }
+          onClick={(e) => {
+            e.preventDefault();
+            onNavigate(path);
+          }}
+        >
+          {node.label
+            ? nodeLabel(node)
+            : `${nodeLabel(node)} — ${localized(node, "subtitle")}`}
+        </a>
+        {node.links?.length > 0 && (
+          <ul>
+            <OutlineItems
+              nodes={node.links}
+              parentPath={path}
+              activePath={activePath}
+              onNavigate={onNavigate}
+            />
+          </ul>
+        )}
+      </li>
+    );
+  });
+}
+
+function SceneOutline({ activePath, cameraPhase, onNavigate, onBack }) {
+  return (
+    <>
+      <nav aria-label={t("outline.label")} className="scene-outline">
+        <ul>
+          <li>
+            <a
+              href={routeToHash([])}
+              aria-current={!activePath.length ? "page" : undefined}
+              onClick={(e) => {
+                e.preventDefault();
+                onBack();
+              }}
+            >
+              {t("outline.overview")}
+            </a>
+          </li>
+          <OutlineItems
+            nodes={SECTIONS}
+            parentPath={[]}
+            activePath={activePath}
+            onNavigate={onNavigate}
+          />
+        </ul>
+      </nav>
+      <div role="status" aria-live="polite" className="sr-only">
+        {describePhase(cameraPhase, resolvePath(activePath))}
+      </div>
+    </>
+  );
+}
+
 // ============================================================
 // NAV BAR (with dropdown)
 // ============================================================
 function NavBar({
-  onClickSection,
-  activeSection,
-  activeLink,
+  activePath,
+  theme,
+  onNavigate,
   onBack,
-  onBackToSection,
-  onClickSubSphere,
+  onUp,
   showConstellation,
   onToggleConstellation,
+  reducedMotion,
+  onToggleReducedMotion,
+  onToggleTheme,
+  onOpenPalette,
+  locale,
+  onChangeLocale,
 }) {
+  const [activeSection] = activePath;
+  // The dropdown lists the moons of the focused node, if it has any
+  const focus = resolvePath(activePath).at(-1);
+  const moons = focus?.links ?? [];
+
   return (
     <nav
       style={{
@@ -1288,22 +1827,21 @@ function NavBar({
         padding: "clamp(0.8rem, 2vw, 1.5rem) clamp(1rem, 3vw, 2.5rem)",
         fontFamily: "'EB Garamond', Georgia, serif",
         background:
-          "linear-gradient(to bottom, rgba(248,248,248,0.92) 0%, rgba(248,248,248,0) 100%)",
+          "linear-gradient(to bottom, rgba(var(--bg-rgb),0.92) 0%, rgba(var(--bg-rgb),0) 100%)",
       }}
     >
       <div style={{ flexShrink: 0 }}>
         <div
           onClick={() => {
-            if (activeLink) onBackToSection();
-            else if (activeSection) onBack();
+            if (activePath.length) onUp();
           }}
           style={{
             fontSize: "clamp(0.85rem, 2.5vw, 1.1rem)",
             fontWeight: 400,
             letterSpacing: "clamp(0.1em, 0.5vw, 0.2em)",
             textTransform: "uppercase",
-            color: "#1a1a1a",
-            cursor: activeSection || activeLink ? "pointer" : "default",
+            color: "var(--text)",
+            cursor: activeSection ? "pointer" : "default",
           }}
         >
           Mica Oz
@@ -1315,46 +1853,137 @@ function NavBar({
               fontSize: "clamp(0.5rem, 1.2vw, 0.58rem)",
               letterSpacing: "0.08em",
               textTransform: "uppercase",
-              color: showConstellation ? "#1a1a1a" : "#aaa",
+              color: showConstellation ? "var(--text)" : "var(--text-faint)",
               cursor: "pointer",
               marginTop: "0.25rem",
               transition: "color 0.2s ease",
               userSelect: "none",
             }}
           >
-            ✦ {showConstellation ? "hide" : "show"} constellation
+            ✦{" "}
+            {t(
+              showConstellation
+                ? "nav.hideConstellation"
+                : "nav.showConstellation",
+            )}
           </div>
         )}
+        <button
+          onClick={onToggleReducedMotion}
+          aria-pressed={reducedMotion}
+          style={{
+            display: "block",
+            background: "transparent",
+            border: "none",
+            fontFamily: "inherit",
+            fontSize: "clamp(0.5rem, 1.2vw, 0.58rem)",
+            letterSpacing: "0.08em",
+            textTransform: "uppercase",
+            color: reducedMotion ? "var(--text)" : "var(--text-faint)",
+            cursor: "pointer",
+            marginTop: "0.25rem",
+            transition: "color 0.2s ease",
+            userSelect: "none",
+          }}
+        >
+          ◌ {t("nav.reduceMotion")}
+        </button>
+        <button
+          onClick={onToggleTheme}
+          aria-pressed={theme.scheme === "dark"}
+          style={{
+            display: "block",
+            background: "transparent",
+            border: "none",
+            fontFamily: "inherit",
+            fontSize: "clamp(0.5rem, 1.2vw, 0.58rem)",
+            letterSpacing: "0.08em",
+            textTransform: "uppercase",
+            color:
+              theme.scheme === "dark" ? "var(--text)" : "var(--text-faint)",
+            cursor: "pointer",
+            marginTop: "0.25rem",
+            transition: "color 0.2s ease",
+            userSelect: "none",
+          }}
+        >
+          ◐ {t("nav.darkMode")}
+        </button>
+        <button
+          onClick={onOpenPalette}
+          aria-keyshortcuts="Control+K Meta+K"
+          title="Ctrl+K / ⌘K"
+          style={{
+            display: "block",
+            background: "transparent",
+            border: "none",
+            fontFamily: "inherit",
+            fontSize: "clamp(0.5rem, 1.2vw, 0.58rem)",
+            letterSpacing: "0.08em",
+            textTransform: "uppercase",
+            color: "var(--text-faint)",
+            cursor: "pointer",
+            marginTop: "0.25rem",
+            userSelect: "none",
+          }}
+        >
+          ⌕ {t("nav.search")}
+        </button>
+        {Object.keys(LOCALES).length > 1 && (
+          <select
+            value={locale}
+            onChange={(e) => onChangeLocale(e.target.value)}
+            aria-label={t("nav.language")}
+            style={{
+              display: "block",
+              background: "transparent",
+              border: "none",
+              padding: 0,
+              fontFamily: "inherit",
+              fontSize: "clamp(0.5rem, 1.2vw, 0.58rem)",
+              letterSpacing: "0.08em",
+              textTransform: "uppercase",
+              color: "var(--text-faint)",
+              cursor: "pointer",
+              marginTop: "0.25rem",
+            }}
+          >
+            {Object.entries(LOCALES).map(([code, { name }]) => (
+              <option key={code} value={code} lang={code}>
+                {name}
+              </option>
+            ))}
+          </select>
+        )}
       </div>
       <div style={{ display: "flex", gap: "clamp(1rem, 4vw, 2.5rem)" }}>
         {SECTIONS.map((section) => (
           <div key={section.id} style={{ position: "relative" }}>
             <div
               onClick={() => {
-                if (activeLink && activeSection === section.id)
-                  onBackToSection();
-                else if (activeSection === section.id) onBack();
-                else onClickSection(section.id);
+                if (activeSection === section.id && activePath.length === 1)
+                  onBack();
+                else onNavigate([section.id]);
               }}
               style={{
                 fontSize: "clamp(0.65rem, 1.8vw, 0.8rem)",
                 letterSpacing: "clamp(0.06em, 0.3vw, 0.15em)",
                 textTransform: "uppercase",
-                color: "#1a1a1a",
+                color: "var(--text)",
                 cursor: "pointer",
                 padding: "0.25rem 0",
                 borderBottom:
                   activeSection === section.id
-                    ? `1px solid ${section.color}`
+                    ? `1px solid ${theme.accent(section.color)}`
                     : "1px solid transparent",
                 opacity:
                   activeSection && activeSection !== section.id ? 0.35 : 1,
                 transition: "all 0.3s ease",
               }}
             >
-              {section.label}
+              {nodeLabel(section)}
             </div>
-            {activeSection === section.id && !activeLink && (
+            {activeSection === section.id && moons.length > 0 && (
               <div
                 style={{
                   position: "absolute",
@@ -1367,7 +1996,7 @@ function NavBar({
               >
                 <div
                   style={{
-                    background: "rgba(255,255,255,0.95)",
+                    background: "rgba(var(--surface-rgb),0.95)",
                     backdropFilter: "blur(12px)",
                     WebkitBackdropFilter: "blur(12px)",
                     borderRadius: "6px",
@@ -1375,32 +2004,34 @@ function NavBar({
                     boxShadow: "0 4px 20px rgba(0,0,0,0.08)",
                   }}
                 >
-                  {section.links.map((link) => (
+                  {moons.map((link) => (
                     <div
                       key={link.id}
                       onClick={(e) => {
                         e.stopPropagation();
-                        onClickSubSphere(section.id, link.id);
+                        onNavigate([...activePath, link.id]);
                       }}
                       style={{
                         padding: "0.55rem 1.2rem",
                         fontSize: "clamp(0.62rem, 1.6vw, 0.68rem)",
                         letterSpacing: "0.08em",
                         textTransform: "uppercase",
-                        color: section.color,
+                        color: theme.accent(section.color),
                         cursor: "pointer",
                         transition: "background 0.15s ease",
                         whiteSpace: "nowrap",
                         textAlign: "center",
                       }}
                       onMouseEnter={(e) => {
-                        e.currentTarget.style.background = "rgba(0,0,0,0.04)";
+                        e.currentTarget.style.background =
+                          "rgba(var(--ink-rgb),0.04)";
                       }}
                       onMouseLeave={(e) => {
                         e.currentTarget.style.background = "transparent";
                       }}
                     >
-                      {link.title}
+                      {nodeLabel(link)}
+                      {outbound(link) && ` ${outbound(link).icon}`}
                     </div>
                   ))}
                 </div>
@@ -1413,79 +2044,248 @@ function NavBar({
   );
 }
 
+// ============================================================
+// NAVIGATION (where the camera is headed, and what's queued after it)
+// ============================================================
+// Every transition goes through navigationReducer. `path` is the node the
+// camera flies to or is parked at, `phase` and `progress` are the scene's
+// report on getting there, and `queued` is a destination further down.
+// Flights go down the tree a level at a time, so each level's moons are
+// seen on the way: a deeper destination is queued, and taken one step
+// further each time the camera parks at a node with moons. Anything else
+// (up, across, home) retargets the flight in the air and drops the queue.
+//
+//   { type: "navigate", path }          go to `path`
+//   { type: "up" }, { type: "home" }    one level up, or the overview
+//   { type: "camera", phase, progress } the scene's report, every frame
+function initialNavigation(path) {
+  return { path, phase: "idle", progress: 0, queued: null };
+}
+
+// The next step from state.path toward `destination`
+function stepToward(state, destination) {
+  const { path, phase } = state;
+  let common = 0;
+  while (
+    common < destination.length &&
+    common < path.length &&
+    destination[common] === path[common]
+  )
+    common++;
+  if (common === path.length && common === destination.length)
+    return state.queued ? { ...state, queued: null } : state;
+  // Below a node the camera is still flying to: wait for it to park
+  if (common === path.length && phase === "flyToParent")
+    return { ...state, queued: destination };
+  const next = destination.slice(0, common + 1);
+  return {
+    ...state,
+    path: next,
+    queued: next.length < destination.length ? destination : null,
+  };
+}
+
+function navigationReducer(state, event) {
+  switch (event.type) {
+    case "navigate":
+      return stepToward(state, event.path);
+    case "up":
+      return state.path.length
+        ? { ...state, path: state.path.slice(0, -1), queued: null }
+        : state;
+    case "home":
+      return state.path.length || state.queued
+        ? { ...state, path: [], queued: null }
+        : state;
+    case "camera": {
+      if (state.phase === event.phase && state.progress === event.progress)
+        return state;
+      const next = { ...state, phase: event.phase, progress: event.progress };
+      // Parked at the latest step: take the next one
+      if (
+        next.queued &&
+        event.phase === "parkedAtParent" &&
+        state.phase !== "parkedAtParent"
+      )
+        return stepToward(next, next.queued);
+      return next;
+    }
+    default:
+      return state;
+  }
+}
+
 // ============================================================
 // MAIN APP
 // ============================================================
 export default function App() {
-  const [activeSection, setActiveSection] = useState(null);
-  const [activeLink, setActiveLink] = useState(null);
+  useSections(); // re-render overlays when content files hot-reload
+  const locale = useLocale();
+  const [navigation, dispatch] = useReducer(
+    navigationReducer,
+    parseRoute(window.location.hash),
+    initialNavigation,
+  );
+  const {
+    path: activePath,
+    phase: cameraPhase,
+    progress: cameraProgress,
+    queued,
+  } = navigation;
   const [subSpherePositions, setSubSpherePositions] = useState([]);
-  const [cameraPhase, setCameraPhase] = useState("idle");
-  const [cameraProgress, setCameraProgress] = useState(0);
   const [showConstellation, setShowConstellation] = useState(false);
-  const pendingLinkRef = useRef(null);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  // "ok", "lost" (until the browser restores the context) or "unavailable";
+  // anything but "ok" shows the fallback map. A new key remounts the scene.
+  const [webgl, setWebgl] = useState("ok");
+  const [hover, setHover] = useState(null);
+  const [sceneKey, setSceneKey] = useState(0);
+
+  // Reduced motion follows the OS setting until toggled manually
+  const prefersReducedMotion = useMediaQuery(
+    "(prefers-reduced-motion: reduce)",
+  );
+  const [reducedMotionOverride, setReducedMotionOverride] = useState(() => {
+    const stored = readStored("reducedMotion");
+    return stored === null ? null : stored === "true";
+  });
+  const reducedMotion = reducedMotionOverride ?? prefersReducedMotion;
+
+  // Same for the theme and the OS color scheme
+  const prefersDark = useMediaQuery("(prefers-color-scheme: dark)");
+  const [themeOverride, setThemeOverride] = useState(() => readStored("theme"));
+  const theme =
+    THEMES[themeOverride] ?? (prefersDark ? THEMES.dark : THEMES.light);
+
+  // A language picked in the switcher is remembered for the next visit
+  const handleChangeLocale = useCallback((code) => {
+    setLocale(code, { remember: true });
+  }, []);
+
+  // Overlays inherit text direction from <html>; the canvas doesn't care
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = localeDir(locale);
+  }, [locale]);
 
   const handleToggleConstellation = useCallback(() => {
     setShowConstellation((prev) => !prev);
   }, []);
 
-  const handleClickSection = useCallback(
-    (id) => {
-      if (activeSection === id && !activeLink) return;
-      pendingLinkRef.current = null;
-      setActiveLink(null);
-      setActiveSection(id);
-    },
-    [activeSection, activeLink],
-  );
+  const handleToggleReducedMotion = useCallback(() => {
+    const next = !reducedMotion;
+    writeStored("reducedMotion", String(next));
+    setReducedMotionOverride(next);
+  }, [reducedMotion]);
+
+  const handleToggleTheme = useCallback(() => {
+    const next = theme.scheme === "dark" ? "light" : "dark";
+    writeStored("theme", next);
+    setThemeOverride(next);
+  }, [theme]);
+
+  // Overlay colors cross-fade for a moment after a switch, while the scene
+  // eases its materials over. Components with inline transitions of their
+  // own (panel fades) keep them.
+  const themeMountedRef = useRef(false);
+  useEffect(() => {
+    if (!themeMountedRef.current) {
+      themeMountedRef.current = true;
+      return;
+    }
+    const root = document.documentElement;
+    root.classList.add("theme-switching");
+    const timer = setTimeout(
+      () => root.classList.remove("theme-switching"),
+      600,
+    );
+    return () => {
+      clearTimeout(timer);
+      root.classList.remove("theme-switching");
+    };
+  }, [theme]);
 
   const handleBack = useCallback(() => {
-    pendingLinkRef.current = null;
-    setActiveLink(null);
-    setActiveSection(null);
+    dispatch({ type: "home" });
     setSubSpherePositions([]);
   }, []);
 
-  const handleBackToSection = useCallback(() => {
-    pendingLinkRef.current = null;
-    setActiveLink(null);
-  }, []);
+  // One level up the tree: leaf → its parent, section → overview
+  const handleUp = useCallback(() => dispatch({ type: "up" }), []);
 
-  const handleCameraProgress = useCallback((phase, progress) => {
-    setCameraPhase(phase);
-    setCameraProgress(progress);
+  const handleCameraProgress = useCallback(
+    (phase, progress) => dispatch({ type: "camera", phase, progress }),
+    [],
+  );
+
+  const handleContextLost = useCallback(() => {
+    setWebgl("lost");
+    setHover(null);
+  }, []);
+  const handleContextRestored = useCallback(() => {
+    setWebgl("ok");
+    setSceneKey((key) => key + 1);
   }, []);
+  const handleWebGLUnavailable = useCallback(() => setWebgl("unavailable"), []);
 
-  // When parent fly completes and we're parked, fire any queued link
+  const navigateTo = useCallback(
+    (path) => dispatch({ type: "navigate", path }),
+    [],
+  );
+
+  // Clicks on outbound links marked openDirectly leave without flying
+  const handleNavigate = useCallback(
+    (path) => {
+      const node = resolvePath(path).at(-1);
+      if (outbound(node) && node.openDirectly) openOutbound(node);
+      else navigateTo(path);
+    },
+    [navigateTo],
+  );
+
+  // Mirror navigation state into the URL
   useEffect(() => {
-    if (
-      pendingLinkRef.current &&
-      activeSection &&
-      cameraPhase === "parkedAtParent"
-    ) {
-      const linkId = pendingLinkRef.current;
-      pendingLinkRef.current = null;
-      setActiveLink(linkId);
+    // A fly with a queued target is an intermediate step, not a destination
+    if (queued) return;
+    const hash = routeToHash(activePath, locale);
+    if (hash === window.location.hash) return;
+    if (samePath(parseRoute(window.location.hash), activePath)) {
+      // Same place, different spelling (an unknown link id, another
+      // locale) — normalize
+      window.history.replaceState(null, "", hash);
+    } else {
+      window.history.pushState(null, "", hash);
     }
-  }, [cameraPhase, activeSection]);
-
-  const handleClickSubSphere = useCallback(
-    (sectionId, linkId) => {
-      if (activeSection !== sectionId) {
-        // Need to fly to parent first, then queue the link
-        pendingLinkRef.current = linkId;
-        setActiveLink(null);
-        setActiveSection(sectionId);
-      } else if (cameraPhase === "flyToParent") {
-        // Parent fly is still in progress — queue it
-        pendingLinkRef.current = linkId;
-      } else {
-        // Already parked at parent, go straight to sub
-        setActiveLink(linkId);
+  }, [activePath, queued, locale]);
+
+  // Ctrl/Cmd+K toggles the command palette from anywhere
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        setPaletteOpen((open) => !open);
       }
-    },
-    [activeSection, cameraPhase],
-  );
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  const handleClosePalette = useCallback(() => setPaletteOpen(false), []);
+
+  // Browser back/forward drive the same transitions as the UI
+  useEffect(() => {
+    const onPopState = () => {
+      const code = hashLocale(window.location.hash);
+      if (code) setLocale(code);
+      const path = parseRoute(window.location.hash);
+      if (!path.length) handleBack();
+      else navigateTo(path);
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [handleBack, navigateTo]);
+
+  const focus = resolvePath(activePath).at(-1);
 
   return (
     <div
@@ -1493,71 +2293,198 @@ export default function App() {
         width: "100vw",
         height: "100vh",
         overflow: "hidden",
-        background: "#f8f8f8",
+        background: "var(--bg)",
       }}
     >
       <style>{`
         @import url('https://fonts.googleapis.com/css2?family=EB+Garamond:ital,wght@0,400;0,500;0,600;1,400&display=swap');
+        :root {
+          color-scheme: ${theme.scheme};
+          ${Object.entries(themeVars(theme))
+            .map(([name, value]) => `${name}: ${value};`)
+            .join(" ")}
+        }
+        .theme-switching, .theme-switching * {
+          transition: color 0.6s ease, background-color 0.6s ease,
+            border-color 0.6s ease, text-shadow 0.6s ease;
+        }
         * { margin: 0; padding: 0; box-sizing: border-box; -webkit-tap-highlight-color: transparent; }
         body { overflow: hidden; overscroll-behavior: none; }
         html { overflow: hidden; }
         @supports (padding: env(safe-area-inset-bottom)) {
           body { padding-bottom: env(safe-area-inset-bottom); }
         }
+        .sr-only, .scene-outline:not(:focus-within) {
+          position: absolute; width: 1px; height: 1px; overflow: hidden;
+          clip: rect(0 0 0 0); clip-path: inset(50%); white-space: nowrap;
+        }
+        .scene-outline {
+          position: fixed; inset-inline-start: 1rem; bottom: 1rem; z-index: 40;
+          max-height: 60vh; overflow: auto; padding: 0.75rem 1.25rem;
+          background: rgba(var(--surface-rgb),0.95); border-radius: 6px;
+          box-shadow: 0 4px 20px rgba(0,0,0,0.08);
+          font-family: 'EB Garamond', Georgia, serif; font-size: 0.8rem;
+        }
+        .scene-outline ul { list-style: none; }
+        .scene-outline ul ul { padding-inline-start: 1rem; }
+        .scene-outline a { color: var(--text); }
+        .scene-outline a[aria-current] { font-weight: 600; }
+        .link-body {
+          margin-top: clamp(1.2rem, 3vw, 2rem); max-width: 480px;
+          font-size: clamp(0.85rem, 2.3vw, 1.05rem); line-height: 1.7; color: var(--text-body);
+        }
+        .link-body > * + * { margin-top: 0.9em; }
+        .link-body h1, .link-body h2, .link-body h3, .link-body h4 {
+          font-weight: 400; letter-spacing: 0.05em; color: var(--text); line-height: 1.2;
+        }
+        .link-body h1 { font-size: 1.6em; } .link-body h2 { font-size: 1.35em; }
+        .link-body h3 { font-size: 1.15em; } .link-body h4 { font-size: 1em; }
+        .link-body ul, .link-body ol { padding-inline-start: 1.4em; }
+        .link-body a { color: var(--accent); }
+        .link-body img {
+          display: block; max-width: 100%; height: auto; border-radius: 6px;
+          background: rgba(var(--ink-rgb),0.04);
+        }
+        .link-body pre {
+          overflow-x: auto; padding: 0.8em 1em; border-radius: 6px;
+          background: rgba(var(--ink-rgb),0.04); font-size: 0.8em; line-height: 1.5;
+        }
+        .link-body code { font-family: ui-monospace, Menlo, Consolas, monospace; }
+        .link-body blockquote { border-inline-start: 2px solid var(--accent); padding-inline-start: 1em; }
+        .resume { margin-top: clamp(1.2rem, 3vw, 2rem); color: var(--text-body); line-height: 1.5; }
+        .resume section + section { margin-top: 1.6em; }
+        .resume h1 { font-size: 2em; font-weight: 400; letter-spacing: 0.08em; color: var(--text); }
+        .resume h2 {
+          font-size: 0.7em; font-weight: 400; letter-spacing: 0.2em; text-transform: uppercase;
+          color: var(--accent, var(--text)); border-bottom: 1px solid rgba(var(--ink-rgb),0.08);
+          padding-bottom: 0.3em; margin-bottom: 0.8em;
+        }
+        .resume h3 { font-size: 1em; font-weight: 500; color: var(--text); }
+        .resume h3 span { font-weight: 400; color: var(--text-subtle); }
+        .resume article + article { margin-top: 1em; }
+        .resume p, .resume ul { margin-top: 0.4em; }
+        .resume ul { padding-inline-start: 1.2em; }
+        .resume dl > div { display: flex; gap: 0.75em; }
+        .resume dl > div + div { margin-top: 0.4em; }
+        .resume dt { flex: 0 0 40%; color: var(--text); }
+        .resume-label { letter-spacing: 0.1em; text-transform: uppercase; font-size: 0.85em; }
+        .resume-meta { font-size: 0.8em; color: var(--text-muted); letter-spacing: 0.04em; }
+        /* Tracking pulls joined-up scripts such as Arabic apart */
+        [dir="rtl"] * { letter-spacing: normal !important; }
+        .print-only { display: none; }
+        @media print {
+          html, body { overflow: visible; background: #fff; }
+          #root { display: none !important; }
+          .print-only {
+            display: block; padding: 0; font-family: 'EB Garamond', Georgia, serif;
+            font-size: 11pt; color: #000;
+          }
+          .print-only .resume { margin: 0; color: #000; }
+          .print-only header p { margin-top: 0.8em; }
+          .print-only article { break-inside: avoid; }
+          @page { margin: 18mm; }
+        }
       `}</style>
 
-      <Scene3D
-        activeSection={activeSection}
-        activeLink={activeLink}
-        showConstellation={showConstellation}
-        onCameraProgress={handleCameraProgress}
-        onSubSphereScreenPositions={setSubSpherePositions}
-        onClickSection={handleClickSection}
-        onClickSubSphere={handleClickSubSphere}
-      />
+      {webgl !== "unavailable" && (
+        <Scene3D
+          key={sceneKey}
+          activePath={activePath}
+          theme={theme}
+          showConstellation={showConstellation}
+          onCameraProgress={handleCameraProgress}
+          onSubSphereScreenPositions={setSubSpherePositions}
+          onNavigate={handleNavigate}
+          onUp={handleUp}
+          reducedMotion={reducedMotion}
+          onContextLost={handleContextLost}
+          onContextRestored={handleContextRestored}
+          onWebGLUnavailable={handleWebGLUnavailable}
+          onHover={setHover}
+        />
+      )}
+      {webgl !== "ok" && (
+        <SceneFallback
+          activePath={activePath}
+          theme={theme}
+          onCameraProgress={handleCameraProgress}
+          onSubSphereScreenPositions={setSubSpherePositions}
+          onNavigate={handleNavigate}
+        />
+      )}
 
       <SubSphereLabels
-        activeSection={activeSection}
-        activeLink={activeLink}
+        activePath={activePath}
+        theme={theme}
         positions={subSpherePositions}
         cameraPhase={cameraPhase}
         cameraProgress={cameraProgress}
-        onClickSubSphere={handleClickSubSphere}
+        onNavigate={handleNavigate}
+        reducedMotion={reducedMotion}
+      />
+
+      <HoverPreview hover={hover} theme={theme} />
+
+      <SceneOutline
+        activePath={activePath}
+        cameraPhase={cameraPhase}
+        onNavigate={handleNavigate}
+        onBack={handleBack}
       />
 
       <NavBar
-        onClickSection={handleClickSection}
-        activeSection={activeSection}
-        activeLink={activeLink}
+        activePath={activePath}
+        theme={theme}
+        onNavigate={handleNavigate}
         onBack={handleBack}
-        onBackToSection={handleBackToSection}
-        onClickSubSphere={handleClickSubSphere}
+        onUp={handleUp}
         showConstellation={showConstellation}
         onToggleConstellation={handleToggleConstellation}
+        reducedMotion={reducedMotion}
+        onToggleReducedMotion={handleToggleReducedMotion}
+        onToggleTheme={handleToggleTheme}
+        onOpenPalette={() => setPaletteOpen(true)}
+        locale={locale}
+        onChangeLocale={handleChangeLocale}
       />
 
       <LinkPanel
-        activeSection={activeSection}
-        activeLink={activeLink}
+        activePath={activePath}
+        theme={theme}
         cameraPhase={cameraPhase}
         cameraProgress={cameraProgress}
-        onBack={handleBackToSection}
+        onBack={handleUp}
+        reducedMotion={reducedMotion}
       />
 
-      {/* Back to section button (Level 1) */}
-      {activeSection && !activeLink && cameraPhase !== "flyToParent" && (
+      {paletteOpen && (
+        <CommandPalette
+          theme={theme}
+          onNavigate={handleNavigate}
+          onClose={handleClosePalette}
+        />
+      )}
+
+      {TunePanel && (
+        <Suspense fallback={null}>
+          <TunePanel />
+        </Suspense>
+      )}
+
+      {/* Back one level, while parked at a node with moons */}
+      {focus?.links?.length > 0 && cameraPhase !== "flyToParent" && (
         <button
-          onClick={handleBack}
+          onClick={handleUp}
           style={{
             position: "fixed",
             bottom: "max(1.5rem, env(safe-area-inset-bottom, 1.5rem))",
             left: "50%",
             transform: "translateX(-50%)",
-            background: "rgba(255,255,255,0.9)",
+            background: "rgba(var(--surface-rgb),0.9)",
             backdropFilter: "blur(10px)",
             WebkitBackdropFilter: "blur(10px)",
-            border: "1px solid rgba(0,0,0,0.08)",
-            color: "#1a1a1a",
+            border: "1px solid rgba(var(--ink-rgb),0.08)",
+            color: "var(--text)",
             padding: "0.6rem clamp(1.2rem, 4vw, 2rem)",
             fontSize: "clamp(0.62rem, 1.8vw, 0.72rem)",
             letterSpacing: "0.15em",
@@ -1570,19 +2497,19 @@ export default function App() {
             transition: "all 0.25s ease",
           }}
           onMouseEnter={(e) => {
-            e.currentTarget.style.background = "#1a1a1a";
-            e.currentTarget.style.color = "#fff";
+            e.currentTarget.style.background = "var(--text)";
+            e.currentTarget.style.color = "var(--bg)";
           }}
           onMouseLeave={(e) => {
-            e.currentTarget.style.background = "rgba(255,255,255,0.9)";
-            e.currentTarget.style.color = "#1a1a1a";
+            e.currentTarget.style.background = "rgba(var(--surface-rgb),0.9)";
+            e.currentTarget.style.color = "var(--text)";
           }}
         >
-          ← Back
+          {t("back")}
         </button>
       )}
 
-      {!activeSection && (
+      {!activePath.length && (
         <div
           style={{
             position: "fixed",
@@ -1592,7 +2519,7 @@ export default function App() {
             zIndex: 5,
             fontFamily: "'EB Garamond', Georgia, serif",
             textAlign: "center",
-            color: "#1a1a1a",
+            color: "var(--text)",
             opacity: 0.35,
             fontSize: "clamp(0.58rem, 1.6vw, 0.7rem)",
             letterSpacing: "0.2em",
@@ -1600,7 +2527,7 @@ export default function App() {
             whiteSpace: "nowrap",
           }}
         >
-          Drag to explore · Click a sphere to enter
+          {t(webgl === "ok" ? "hint" : "fallback.hint")}
         </div>
       )}
     </div>
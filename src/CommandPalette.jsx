@@ -0,0 +1,315 @@
+import { useEffect, useRef, useState } from "react";
+import { SECTIONS } from "./content.js";
+import { useFocusTrap } from "./hooks.js";
+import { localized, t } from "./i18n.js";
+import { nodeLabel, outbound, resolvePath } from "./tree.js";
+
+// ============================================================
+// COMMAND PALETTE (Ctrl/Cmd+K fuzzy search over every node)
+// ============================================================
+// Subsequence match: every query character must appear in order. Word
+// starts and runs of consecutive characters score higher, gaps cost a
+// little. Returns null when the query doesn't match.
+function fuzzyMatch(query, text) {
+  const haystack = text.toLowerCase();
+  const indices = [];
+  let score = 0;
+  let run = 0;
+  let from = 0;
+  for (const ch of query.toLowerCase().replace(/\s+/g, "")) {
+    const i = haystack.indexOf(ch, from);
+    if (i < 0) return null;
+    run = indices.length && i === from ? run + 1 : 0;
+    const wordStart = i === 0 || /[\s\-&/·]/.test(haystack[i - 1]);
+    score += 1 + run * 2 + (wordStart ? 3 : 0) - Math.min(i - from, 10) * 0.1;
+    indices.push(i);
+    from = i + 1;
+  }
+  return { score, indices };
+}
+
+// Every section and link, depth-first, with the labels above it
+function paletteEntries(nodes = SECTIONS, parentPath = [], trail = []) {
+  return nodes.flatMap((node) => {
+    const entry = { node, path: [...parentPath, node.id], trail };
+    return [
+      entry,
+      ...paletteEntries(node.links ?? [], entry.path, [
+        ...trail,
+        nodeLabel(node),
+      ]),
+    ];
+  });
+}
+
+// Title hits count most; the trail lets "dev res" find Dev → Resume
+function searchPalette(query) {
+  const entries = paletteEntries();
+  if (!query.trim()) return entries.map((entry) => ({ ...entry, score: 0 }));
+  return entries
+    .map((entry) => {
+      const title = nodeLabel(entry.node);
+      const fields = [
+        [title, 3],
+        [[...entry.trail, title].join(" "), 2],
+        [localized(entry.node, "subtitle"), 1.5],
+        [localized(entry.node, "description"), 1],
+      ];
+      let best = null;
+      fields.forEach(([text, weight], i) => {
+        const match = text && fuzzyMatch(query, text);
+        if (match && (!best || match.score * weight > best.score))
+          best = {
+            score: match.score * weight,
+            indices: i === 0 ? match.indices : [],
+          };
+      });
+      return best && { ...entry, ...best };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+}
+
+function Highlighted({ text, indices, color }) {
+  if (!indices?.length) return text;
+  const marked = new Set(indices);
+  return [...text].map((ch, i) =>
+    marked.has(i) ? (
+      <span key={i} style={{ color, fontWeight: 600 }}>
+        {ch}
+      </span>
+    ) : (
+      ch
+    ),
+  );
+}
+
+export function CommandPalette({ theme, onNavigate, onClose }) {
+  const dialogRef = useRef(null);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const [query, setQuery] = useState("");
+  const [selected, setSelected] = useState(0);
+
+  useFocusTrap(dialogRef, true, onClose);
+
+  // The trap focuses the dialog; typing should start in the input
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const results = searchPalette(query);
+  const current = results[Math.min(selected, results.length - 1)];
+
+  useEffect(() => {
+    listRef.current
+      ?.querySelector("[aria-selected='true']")
+      ?.scrollIntoView({ block: "nearest" });
+  }, [selected, query]);
+
+  const run = (entry) => {
+    onClose();
+    onNavigate(entry.path);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (!results.length) return;
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setSelected(
+        (Math.min(selected, results.length - 1) + step + results.length) %
+          results.length,
+      );
+    } else if (e.key === "Enter") {
+      if (current) run(current);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
+  const color = (entry) => theme.accent(resolvePath(entry.path)[0].color);
+  const kicker = {
+    fontSize: "clamp(0.55rem, 1.5vw, 0.62rem)",
+    letterSpacing: "0.15em",
+    textTransform: "uppercase",
+    opacity: 0.6,
+  };
+
+  return (
+    <div
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+      style={{
+        position: "fixed",
+        inset: 0,
+        zIndex: 45,
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "flex-start",
+        paddingTop: "clamp(4rem, 14vh, 9rem)",
+        background: "rgba(var(--bg-rgb),0.55)",
+      }}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label={t("palette.label")}
+        tabIndex={-1}
+        style={{
+          width: "min(92vw, 560px)",
+          outline: "none",
+          background: "rgba(var(--surface-rgb),0.97)",
+          backdropFilter: "blur(24px)",
+          WebkitBackdropFilter: "blur(24px)",
+          borderRadius: "clamp(10px, 2vw, 16px)",
+          boxShadow:
+            "0 12px 60px rgba(0,0,0,0.12), 0 0 0 1px rgba(var(--ink-rgb),0.04)",
+          fontFamily: "'EB Garamond', Georgia, serif",
+          overflow: "hidden",
+        }}
+      >
+        <input
+          ref={inputRef}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setSelected(0);
+          }}
+          onKeyDown={onKeyDown}
+          placeholder={t("palette.placeholder")}
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="palette-results"
+          aria-activedescendant={
+            current ? `palette-${current.path.join("-")}` : undefined
+          }
+          aria-autocomplete="list"
+          spellCheck={false}
+          autoComplete="off"
+          style={{
+            display: "block",
+            width: "100%",
+            padding: "1rem 1.25rem",
+            fontFamily: "inherit",
+            fontSize: "clamp(1rem, 2.8vw, 1.2rem)",
+            color: "var(--text)",
+            background: "transparent",
+            border: "none",
+            borderBottom: "1px solid rgba(var(--ink-rgb),0.06)",
+            outline: "none",
+          }}
+        />
+        <ul
+          ref={listRef}
+          id="palette-results"
+          role="listbox"
+          aria-label={t("palette.results")}
+          style={{
+            listStyle: "none",
+            maxHeight: "min(40vh, 320px)",
+            overflowY: "auto",
+            overscrollBehavior: "contain",
+            padding: "0.4rem 0",
+          }}
+        >
+          {results.map((entry) => {
+            const isSelected = entry === current;
+            return (
+              <li
+                key={entry.path.join("/")}
+                id={`palette-${entry.path.join("-")}`}
+                role="option"
+                aria-selected={isSelected}
+                onMouseMove={() => {
+                  if (!isSelected) setSelected(results.indexOf(entry));
+                }}
+                onClick={() => run(entry)}
+                style={{
+                  display: "flex",
+                  alignItems: "baseline",
+                  gap: "0.75rem",
+                  padding: "0.5rem 1.25rem",
+                  paddingInlineStart: `${1.25 + entry.trail.length * 0.75}rem`,
+                  cursor: "pointer",
+                  background: isSelected
+                    ? "rgba(var(--ink-rgb),0.04)"
+                    : "transparent",
+                  color: "var(--text)",
+                }}
+              >
+                <span
+                  style={{
+                    fontSize: "clamp(0.85rem, 2.2vw, 0.95rem)",
+                    letterSpacing: "0.05em",
+                  }}
+                >
+                  <Highlighted
+                    text={nodeLabel(entry.node)}
+                    indices={entry.indices}
+                    color={color(entry)}
+                  />
+                  {outbound(entry.node) && ` ${outbound(entry.node).icon}`}
+                </span>
+                {entry.trail.length > 0 && (
+                  <span style={{ ...kicker, color: color(entry) }}>
+                    {entry.trail.join(" · ")}
+                  </span>
+                )}
+              </li>
+            );
+          })}
+          {!results.length && (
+            <li
+              style={{
+                padding: "0.75rem 1.25rem",
+                fontSize: "0.9rem",
+                color: "var(--text-muted)",
+              }}
+            >
+              {t("palette.empty", { query })}
+            </li>
+          )}
+        </ul>
+        {current && (
+          <div
+            style={{
+              padding: "0.9rem 1.25rem 1.1rem",
+              borderTop: "1px solid rgba(var(--ink-rgb),0.06)",
+              background: `${color(current)}0a`,
+            }}
+          >
+            <div style={{ ...kicker, color: color(current) }}>
+              {[...current.trail, nodeLabel(current.node)].join(" · ")}
+            </div>
+            {localized(current.node, "subtitle") && (
+              <div
+                style={{
+                  fontSize: "clamp(0.75rem, 2vw, 0.85rem)",
+                  color: color(current),
+                  marginTop: "0.2rem",
+                }}
+              >
+                {localized(current.node, "subtitle")}
+              </div>
+            )}
+            {localized(current.node, "description") && (
+              <p
+                style={{
+                  fontSize: "clamp(0.8rem, 2.2vw, 0.9rem)",
+                  lineHeight: 1.5,
+                  color: "var(--text-body)",
+                  marginTop: "0.4rem",
+                }}
+              >
+                {localized(current.node, "description")}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,265 @@
+import { useRef, useState } from "react";
+import { t } from "./i18n.js";
+
+// ============================================================
+// CONTACT FORM
+// ============================================================
+// Posts JSON to VITE_CONTACT_ENDPOINT; in dev the default /api/contact is
+// answered by plugins/contact-mock.js
+const CONTACT_ENDPOINT =
+  import.meta.env.VITE_CONTACT_ENDPOINT || "/api/contact";
+// Client-side spam guard on top of whatever the endpoint enforces
+const CONTACT_LIMIT = { max: 3, windowMs: 10 * 60 * 1000, gapMs: 30 * 1000 };
+const CONTACT_MIN_FILL_MS = 3000; // faster than this is a bot
+const EMPTY_CONTACT = { name: "", email: "", message: "", website: "" };
+
+// Errors are UI string keys, so they follow a language switch
+function validateContact({ name, email, message }) {
+  const errors = {};
+  if (!name.trim()) errors.name = "contact.nameRequired";
+  else if (name.length > 100) errors.name = "contact.nameTooLong";
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()))
+    errors.email = "contact.emailInvalid";
+  if (message.trim().length < 10) errors.message = "contact.messageTooShort";
+  else if (message.length > 5000) errors.message = "contact.messageTooLong";
+  return errors;
+}
+
+function recentContactSubmits(now) {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem("contactSubmits"));
+    return (stored || []).filter(
+      (sentAt) => now - sentAt < CONTACT_LIMIT.windowMs,
+    );
+  } catch {
+    return [];
+  }
+}
+
+// Remember a send for the rate limit. Storage can be full or blocked
+// (private browsing); the message went out either way.
+function recordContactSubmit(recent, now) {
+  try {
+    window.localStorage.setItem(
+      "contactSubmits",
+      JSON.stringify([...recent, now]),
+    );
+  } catch {
+    // Without storage the rate limit has nothing to count
+  }
+}
+
+export function ContactForm({ color }) {
+  const [fields, setFields] = useState(EMPTY_CONTACT);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState({ state: "idle" });
+  const [openedAt] = useState(() => Date.now());
+  const formRef = useRef(null);
+
+  const update = (key) => (e) => {
+    const next = { ...fields, [key]: e.target.value };
+    setFields(next);
+    if (errors[key]) setErrors(validateContact(next));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const found = validateContact(fields);
+    setErrors(found);
+    if (Object.keys(found).length) {
+      formRef.current.querySelector("[aria-invalid='true']")?.focus();
+      return;
+    }
+
+    // Honeypot filled or form submitted impossibly fast — look successful,
+    // send nothing
+    const now = Date.now();
+    if (fields.website || now - openedAt < CONTACT_MIN_FILL_MS) {
+      setStatus({ state: "sent" });
+      return;
+    }
+
+    const recent = recentContactSubmits(now);
+    if (
+      recent.length >= CONTACT_LIMIT.max ||
+      (recent.length && now - recent.at(-1) < CONTACT_LIMIT.gapMs)
+    ) {
+      setStatus({
+        state: "error",
+        message: t("contact.rateLimited"),
+      });
+      return;
+    }
+
+    setStatus({ state: "sending" });
+    try {
+      const res = await fetch(CONTACT_ENDPOINT, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          name: fields.name.trim(),
+          email: fields.email.trim(),
+          message: fields.message.trim(),
+        }),
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(
+          data.error || t("contact.requestFailed", { status: res.status }),
+        );
+      }
+      recordContactSubmit(recent, now);
+      setFields(EMPTY_CONTACT);
+      setStatus({ state: "sent" });
+    } catch (err) {
+      setStatus({
+        state: "error",
+        message: t("contact.failed", { reason: err.message }),
+      });
+    }
+  };
+
+  const label = {
+    display: "block",
+    fontSize: "clamp(0.6rem, 1.6vw, 0.68rem)",
+    letterSpacing: "0.12em",
+    textTransform: "uppercase",
+    color,
+    marginBottom: "0.35rem",
+  };
+  const input = (key) => ({
+    display: "block",
+    width: "100%",
+    padding: "0.6rem 0.75rem",
+    fontFamily: "'EB Garamond', Georgia, serif",
+    fontSize: "clamp(0.9rem, 2.3vw, 1rem)",
+    color: "var(--text)",
+    background: "rgba(var(--surface-rgb),0.8)",
+    border: `1px solid ${errors[key] ? "var(--error)" : `${color}33`}`,
+    borderRadius: "6px",
+  });
+  const errorText = {
+    fontSize: "0.75rem",
+    color: "var(--error)",
+    marginTop: "0.3rem",
+  };
+
+  if (status.state === "sent")
+    return (
+      <div
+        role="status"
+        style={{
+          marginTop: "clamp(1.2rem, 3vw, 2rem)",
+          maxWidth: "480px",
+          color: "var(--text-body)",
+        }}
+      >
+        <p>{t("contact.sent")}</p>
+        <button
+          onClick={() => setStatus({ state: "idle" })}
+          style={{
+            marginTop: "0.75rem",
+            background: "transparent",
+            border: "none",
+            padding: 0,
+            color,
+            fontFamily: "'EB Garamond', Georgia, serif",
+            fontSize: "clamp(0.65rem, 1.8vw, 0.72rem)",
+            letterSpacing: "0.15em",
+            textTransform: "uppercase",
+            cursor: "pointer",
+            textDecoration: "underline",
+          }}
+        >
+          {t("contact.sendAnother")}
+        </button>
+      </div>
+    );
+
+  const field = (key, text, props) => (
+    <div style={{ marginTop: "1rem" }}>
+      <label htmlFor={`contact-${key}`} style={label}>
+        {text}
+      </label>
+      {key === "message" ? (
+        <textarea
+          id={`contact-${key}`}
+          rows={5}
+          {...props}
+          style={{ ...input(key), resize: "vertical" }}
+        />
+      ) : (
+        <input id={`contact-${key}`} {...props} style={input(key)} />
+      )}
+      {errors[key] && (
+        <div id={`contact-${key}-error`} style={errorText}>
+          {t(errors[key])}
+        </div>
+      )}
+    </div>
+  );
+  const fieldProps = (key) => ({
+    name: key,
+    value: fields[key],
+    onChange: update(key),
+    "aria-invalid": errors[key] ? "true" : "false",
+    "aria-describedby": errors[key] ? `contact-${key}-error` : undefined,
+  });
+
+  return (
+    <form
+      ref={formRef}
+      onSubmit={handleSubmit}
+      noValidate
+      style={{ marginTop: "clamp(0.6rem, 2vw, 1rem)", maxWidth: "480px" }}
+    >
+      {field("name", t("contact.name"), {
+        ...fieldProps("name"),
+        autoComplete: "name",
+      })}
+      {field("email", t("contact.email"), {
+        ...fieldProps("email"),
+        type: "email",
+        autoComplete: "email",
+      })}
+      {field("message", t("contact.message"), fieldProps("message"))}
+      {/* Honeypot: hidden from people and assistive tech, bots fill it in */}
+      <div aria-hidden="true" className="sr-only">
+        <label htmlFor="contact-website">Website</label>
+        <input
+          id="contact-website"
+          name="website"
+          tabIndex={-1}
+          autoComplete="off"
+          value={fields.website}
+          onChange={update("website")}
+        />
+      </div>
+      {status.state === "error" && (
+        <div role="alert" style={{ ...errorText, marginTop: "1rem" }}>
+          {status.message}
+        </div>
+      )}
+      <button
+        type="submit"
+        disabled={status.state === "sending"}
+        style={{
+          marginTop: "1.2rem",
+          background: color,
+          border: `1px solid ${color}`,
+          color: "var(--on-accent)",
+          padding: "0.7rem 2rem",
+          fontSize: "clamp(0.65rem, 1.8vw, 0.72rem)",
+          letterSpacing: "0.15em",
+          textTransform: "uppercase",
+          cursor: status.state === "sending" ? "wait" : "pointer",
+          opacity: status.state === "sending" ? 0.6 : 1,
+          fontFamily: "'EB Garamond', Georgia, serif",
+          borderRadius: "6px",
+        }}
+      >
+        {t(status.state === "sending" ? "contact.sending" : "contact.send")}
+      </button>
+    </form>
+  );
+}
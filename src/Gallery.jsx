@@ -0,0 +1,261 @@
+import { useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { useFocusTrap, useSceneCover } from "./hooks.js";
+import { LOCALE, localeDir, t } from "./i18n.js";
+
+// ============================================================
+// GALLERY (thumbnail grid + lightbox)
+// ============================================================
+// A gallery link's images (see plugins/gallery.js) as a thumbnail grid in
+// the LinkPanel; a thumbnail opens the full-screen lightbox.
+// ============================================================
+
+export function GalleryGrid({ images, color, ready }) {
+  const [openIndex, setOpenIndex] = useState(-1);
+
+  if (!images.length) return null;
+
+  return (
+    <>
+      <ul
+        style={{
+          listStyle: "none",
+          display: "grid",
+          gridTemplateColumns:
+            "repeat(auto-fill, minmax(min(30%, 140px), 1fr))",
+          gap: "clamp(0.4rem, 1.5vw, 0.75rem)",
+          marginTop: "clamp(1.2rem, 3vw, 2rem)",
+        }}
+      >
+        {images.map((image, i) => (
+          <li key={image.src}>
+            <button
+              onClick={() => setOpenIndex(i)}
+              aria-label={t("gallery.open", { title: image.title })}
+              style={{
+                display: "block",
+                width: "100%",
+                padding: 0,
+                border: "none",
+                borderRadius: "6px",
+                overflow: "hidden",
+                cursor: "zoom-in",
+                background: `${color}14`,
+              }}
+            >
+              {/* Thumbnails wait for the camera, like Markdown body images */}
+              <img
+                src={ready ? image.src : undefined}
+                srcSet={ready ? image.srcset : undefined}
+                sizes="(max-width: 600px) 30vw, 170px"
+                alt={image.alt}
+                width={image.width}
+                height={image.height}
+                loading="lazy"
+                decoding="async"
+                style={{
+                  display: "block",
+                  width: "100%",
+                  height: "auto",
+                  aspectRatio: "1",
+                  objectFit: "cover",
+                }}
+              />
+            </button>
+          </li>
+        ))}
+      </ul>
+      {openIndex >= 0 && (
+        <Lightbox
+          images={images}
+          index={openIndex}
+          onChange={setOpenIndex}
+          onClose={() => setOpenIndex(-1)}
+        />
+      )}
+    </>
+  );
+}
+
+function Lightbox({ images, index, onChange, onClose }) {
+  const dialogRef = useRef(null);
+  const touchStartRef = useRef(null);
+  const image = images[index];
+  const step = (dir) => onChange((index + dir + images.length) % images.length);
+  useSceneCover();
+  // Right-to-left pages read the images right to left: ArrowLeft is next
+  const forward = localeDir() === "rtl" ? -1 : 1;
+
+  useFocusTrap(dialogRef, true, onClose);
+
+  const caption = [image.medium, image.year, image.dimensions]
+    .filter(Boolean)
+    .join(" · ");
+  const navButton = {
+    background: "transparent",
+    border: "none",
+    color: "#f8f8f8",
+    fontSize: "clamp(1.6rem, 5vw, 2.4rem)",
+    fontFamily: "'EB Garamond', Georgia, serif",
+    cursor: "pointer",
+    padding: "0.5rem 1rem",
+    opacity: 0.8,
+  };
+
+  // Portal: the LinkPanel card's backdrop-filter would otherwise become the
+  // containing block for this fixed overlay
+  return createPortal(
+    <div
+      ref={dialogRef}
+      role="dialog"
+      aria-modal="true"
+      aria-label={t("gallery.image", {
+        title: image.title,
+        index: index + 1,
+        count: images.length,
+      })}
+      tabIndex={-1}
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+      onKeyDown={(e) => {
+        if (e.key === "ArrowLeft") step(-forward);
+        else if (e.key === "ArrowRight") step(forward);
+        else return;
+        e.preventDefault();
+      }}
+      onTouchStart={(e) => {
+        touchStartRef.current = e.touches[0].clientX;
+      }}
+      onTouchEnd={(e) => {
+        if (touchStartRef.current === null) return;
+        const dx = e.changedTouches[0].clientX - touchStartRef.current;
+        touchStartRef.current = null;
+        if (Math.abs(dx) > 50) step(dx > 0 ? -forward : forward);
+      }}
+      style={{
+        position: "fixed",
+        inset: 0,
+        zIndex: 50,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        background: "rgba(20,20,20,0.92)",
+        outline: "none",
+        fontFamily: "'EB Garamond', Georgia, serif",
+        touchAction: "pan-y",
+      }}
+    >
+      <figure
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          alignItems: "center",
+          maxWidth: "90vw",
+        }}
+      >
+        <img
+          key={image.src}
+          src={image.src}
+          srcSet={image.srcset}
+          sizes="90vw"
+          alt={image.alt}
+          width={image.width}
+          height={image.height}
+          decoding="async"
+          style={{
+            maxWidth: "90vw",
+            maxHeight: "78vh",
+            width: "auto",
+            height: "auto",
+            borderRadius: "4px",
+            boxShadow: "0 12px 60px rgba(0,0,0,0.4)",
+          }}
+        />
+        <figcaption
+          style={{
+            marginTop: "1rem",
+            textAlign: "center",
+            color: "#f8f8f8",
+          }}
+        >
+          <div
+            style={{
+              fontSize: "clamp(0.9rem, 2.5vw, 1.1rem)",
+              letterSpacing: "0.1em",
+            }}
+          >
+            {image.title}
+          </div>
+          {caption && (
+            <div
+              style={{
+                fontSize: "clamp(0.65rem, 1.8vw, 0.75rem)",
+                letterSpacing: "0.08em",
+                textTransform: "uppercase",
+                opacity: 0.6,
+                marginTop: "0.25rem",
+              }}
+            >
+              {caption}
+            </div>
+          )}
+        </figcaption>
+      </figure>
+      {images.length > 1 && (
+        <>
+          <button
+            onClick={() => step(-1)}
+            aria-label={t("gallery.previous")}
+            style={{
+              ...navButton,
+              position: "absolute",
+              insetInlineStart: "1vw",
+            }}
+          >
+            ‹
+          </button>
+          <button
+            onClick={() => step(1)}
+            aria-label={t("gallery.next")}
+            style={{
+              ...navButton,
+              position: "absolute",
+              insetInlineEnd: "1vw",
+            }}
+          >
+            ›
+          </button>
+        </>
+      )}
+      <div
+        style={{
+          position: "absolute",
+          top: "1.2rem",
+          insetInlineStart: "1.5rem",
+          color: "#f8f8f8",
+          fontSize: "0.7rem",
+          letterSpacing: "0.2em",
+          opacity: 0.7,
+        }}
+      >
+        {(index + 1).toLocaleString(LOCALE)} /{" "}
+        {images.length.toLocaleString(LOCALE)}
+      </div>
+      <button
+        onClick={onClose}
+        aria-label={t("gallery.close")}
+        style={{
+          ...navButton,
+          position: "absolute",
+          top: "0.5rem",
+          insetInlineEnd: "1vw",
+          fontSize: "clamp(1.4rem, 4vw, 2rem)",
+        }}
+      >
+        ×
+      </button>
+    </div>,
+    document.body,
+  );
+}
@@ -0,0 +1,132 @@
+import { createPortal } from "react-dom";
+import { LOCALE, t } from "./i18n.js";
+
+// ============================================================
+// RESUME (structured view + print version)
+// ============================================================
+// A resume link's JSON Resume data (see plugins/resume.js) laid out in the
+// LinkPanel, with a print copy the print stylesheet shows on its own.
+// ============================================================
+
+function formatResumeDate(date) {
+  if (!date) return t("resume.present");
+  const [year, month] = date.split("-").map(Number);
+  if (!month) return String(year);
+  return new Date(year, month - 1).toLocaleDateString(LOCALE, {
+    month: "short",
+    year: "numeric",
+  });
+}
+
+function resumeDates(entry) {
+  if (!entry.startDate && !entry.endDate) return null;
+  if (!entry.startDate) return formatResumeDate(entry.endDate);
+  return `${formatResumeDate(entry.startDate)} – ${formatResumeDate(entry.endDate)}`;
+}
+
+// Shared markup for the panel and the print copy; styled by .resume rules
+function ResumeDocument({ resume, print }) {
+  const { basics, work, education, skills } = resume;
+  const contact = [basics.email, basics.url, basics.location?.city].filter(
+    Boolean,
+  );
+
+  return (
+    <div className="resume">
+      {print && (
+        <header>
+          <h1>{basics.name}</h1>
+          {basics.label && <div className="resume-label">{basics.label}</div>}
+          {contact.length > 0 && (
+            <div className="resume-meta">{contact.join(" · ")}</div>
+          )}
+          {basics.summary && <p>{basics.summary}</p>}
+        </header>
+      )}
+      {work.length > 0 && (
+        <section>
+          <h2>{t("resume.experience")}</h2>
+          {work.map((job) => (
+            <article key={`${job.name}-${job.startDate}`}>
+              <h3>
+                {job.position} <span>· {job.name}</span>
+              </h3>
+              <div className="resume-meta">{resumeDates(job)}</div>
+              {job.summary && <p>{job.summary}</p>}
+              {job.highlights?.length > 0 && (
+                <ul>
+                  {job.highlights.map((h) => (
+                    <li key={h}>{h}</li>
+                  ))}
+                </ul>
+              )}
+            </article>
+          ))}
+        </section>
+      )}
+      {skills.length > 0 && (
+        <section>
+          <h2>{t("resume.skills")}</h2>
+          <dl>
+            {skills.map((skill) => (
+              <div key={skill.name}>
+                <dt>{skill.name}</dt>
+                <dd>{(skill.keywords || []).join(", ")}</dd>
+              </div>
+            ))}
+          </dl>
+        </section>
+      )}
+      {education.length > 0 && (
+        <section>
+          <h2>{t("resume.education")}</h2>
+          {education.map((ed) => (
+            <article key={`${ed.institution}-${ed.startDate}`}>
+              <h3>{ed.institution}</h3>
+              {(ed.studyType || ed.area) && (
+                <div>{[ed.studyType, ed.area].filter(Boolean).join(", ")}</div>
+              )}
+              {resumeDates(ed) && (
+                <div className="resume-meta">{resumeDates(ed)}</div>
+              )}
+            </article>
+          ))}
+        </section>
+      )}
+    </div>
+  );
+}
+
+export function ResumeView({ resume, color }) {
+  return (
+    <div style={{ "--accent": color }}>
+      <ResumeDocument resume={resume} />
+      <button
+        onClick={() => window.print()}
+        style={{
+          marginTop: "clamp(1.2rem, 3vw, 2rem)",
+          background: color,
+          border: `1px solid ${color}`,
+          color: "var(--on-accent)",
+          padding: "0.7rem 2rem",
+          fontSize: "clamp(0.65rem, 1.8vw, 0.72rem)",
+          letterSpacing: "0.15em",
+          textTransform: "uppercase",
+          cursor: "pointer",
+          fontFamily: "'EB Garamond', Georgia, serif",
+          borderRadius: "6px",
+        }}
+      >
+        {t("resume.print")}
+      </button>
+      {/* Print copy lives outside #root, which the print stylesheet hides
+          along with the WebGL canvas */}
+      {createPortal(
+        <div className="print-only">
+          <ResumeDocument resume={resume} print />
+        </div>,
+        document.body,
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import { useEffect, useState } from "react";
+import { downloadIcs, expandSchedule } from "./calendar.js";
+import { LOCALE, t } from "./i18n.js";
+
+// ============================================================
+// SCHEDULE (iCalendar agenda)
+// ============================================================
+// A schedule link's calendar (see plugins/schedule.js) as the coming week's
+// classes, day by day, each with an .ics download.
+// ============================================================
+
+export function ScheduleView({ ics, color }) {
+  const [schedule, setSchedule] = useState(null);
+
+  // ical.js is only needed here, so it loads with the first schedule view
+  useEffect(() => {
+    let cancelled = false;
+    import("ical.js")
+      .then(({ default: ICAL }) => {
+        if (cancelled) return;
+        setSchedule({
+          ICAL,
+          occurrences: expandSchedule(ICAL, ics, new Date(), 7),
+        });
+      })
+      .catch((err) => {
+        if (!cancelled) setSchedule({ error: err });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [ics]);
+
+  const meta = {
+    fontSize: "clamp(0.6rem, 1.6vw, 0.68rem)",
+    letterSpacing: "0.12em",
+    textTransform: "uppercase",
+    color,
+    opacity: 0.7,
+  };
+
+  if (!schedule)
+    return (
+      <div style={{ ...meta, marginTop: "1.5rem" }}>
+        {t("schedule.loading")}
+      </div>
+    );
+  if (schedule.error)
+    return (
+      <div style={{ ...meta, marginTop: "1.5rem" }}>{t("schedule.error")}</div>
+    );
+
+  const days = [];
+  schedule.occurrences.forEach((occ) => {
+    const label = occ.start.toLocaleDateString(LOCALE, {
+      weekday: "long",
+      month: "short",
+      day: "numeric",
+    });
+    if (days.at(-1)?.label !== label) days.push({ label, items: [] });
+    days.at(-1).items.push(occ);
+  });
+  const time = (d) =>
+    d.toLocaleTimeString(LOCALE, { hour: "numeric", minute: "2-digit" });
+
+  return (
+    <div style={{ marginTop: "clamp(1.2rem, 3vw, 2rem)", maxWidth: "480px" }}>
+      <div style={meta}>
+        {t("schedule.range", {
+          zone: Intl.DateTimeFormat()
+            .resolvedOptions()
+            .timeZone.replace(/_/g, " "),
+        })}
+      </div>
+      {!days.length && (
+        <p style={{ marginTop: "1rem", color: "var(--text-body)" }}>
+          {t("schedule.empty")}
+        </p>
+      )}
+      {days.map((day) => (
+        <section key={day.label} style={{ marginTop: "1.2rem" }}>
+          <h2
+            style={{
+              fontSize: "clamp(0.85rem, 2.2vw, 1rem)",
+              fontWeight: 400,
+              letterSpacing: "0.05em",
+              color: "var(--text)",
+              borderBottom: "1px solid rgba(var(--ink-rgb),0.08)",
+              paddingBottom: "0.3rem",
+            }}
+          >
+            {day.label}
+          </h2>
+          <ul style={{ listStyle: "none" }}>
+            {day.items.map((occ) => (
+              <li
+                key={occ.key}
+                style={{
+                  display: "flex",
+                  alignItems: "baseline",
+                  gap: "1rem",
+                  padding: "0.6rem 0",
+                  color: "var(--text-body)",
+                }}
+              >
+                <span style={{ flex: "0 0 6.5em", color: "var(--text)" }}>
+                  {time(occ.start)} – {time(occ.end)}
+                </span>
+                <span style={{ flex: 1 }}>
+                  {occ.title}
+                  {occ.location && (
+                    <span style={{ color: "var(--text-muted)" }}>
+                      {" "}
+                      · {occ.location}
+                    </span>
+                  )}
+                </span>
+                <button
+                  onClick={() => downloadIcs(schedule.ICAL, occ)}
+                  aria-label={t("schedule.add", {
+                    title: occ.title,
+                    day: day.label,
+                  })}
+                  style={{
+                    background: "transparent",
+                    border: `1px solid ${color}33`,
+                    color,
+                    padding: "0.3rem 0.7rem",
+                    fontSize: "0.6rem",
+                    letterSpacing: "0.12em",
+                    textTransform: "uppercase",
+                    cursor: "pointer",
+                    fontFamily: "'EB Garamond', Georgia, serif",
+                    borderRadius: "6px",
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  .ics
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+}
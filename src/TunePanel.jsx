@@ -0,0 +1,189 @@
+import { useState } from "react";
+import { SCENE_ROUTE, setScene, useScene } from "./content.js";
+import { EASINGS } from "./flight.js";
+
+// ============================================================
+// TUNING PANEL — dev only, opened with ?tune
+// ============================================================
+// Sliders over content/scene.json. Edits go straight to the running scene
+// through setScene(); Save writes them to the file through the content
+// plugin's dev middleware, and the production build reads that file.
+// ============================================================
+
+// [min, max, step] per slider — a comfortable working range, narrower than
+// what plugins/scene.js accepts
+const CONTROLS = {
+  torus: {
+    radius: [0.3, 2, 0.01],
+    minorRadius: [0, 1.5, 0.01],
+    sections: [2, 30, 1],
+    spans: [2, 30, 1],
+  },
+  orbits: {
+    sectionSpeed: [0, 5, 0.05],
+    moonSpeed: [0, 1, 0.01],
+    moonSpeedRange: [0, 1, 0.01],
+    autoRotate: [0, 1, 0.01],
+  },
+  camera: {
+    fov: [20, 100, 1],
+    distance: [2, 8, 0.1],
+    parentDistance: [0.05, 1, 0.005],
+    parentLift: [-0.2, 0.3, 0.005],
+    leafDistance: [0.05, 1, 0.005],
+    leafLift: [-0.2, 0.3, 0.005],
+    clearance: [1, 3, 0.05],
+  },
+  lights: {
+    ambient: [0, 2, 0.05],
+    key: [0, 3, 0.05],
+    back: [0, 2, 0.05],
+  },
+};
+
+// Flight phases, each picking a curve from EASINGS
+const FLIGHT_PHASES = ["flyToParent", "flyToSub", "flyHome"];
+
+const rowStyle = {
+  display: "grid",
+  gridTemplateColumns: "6.5rem 1fr 3rem",
+  alignItems: "center",
+  gap: "0.4rem",
+};
+
+const legendStyle = {
+  color: "var(--text-muted)",
+  textTransform: "uppercase",
+  letterSpacing: "0.1em",
+  marginBottom: "0.3rem",
+};
+
+const buttonStyle = {
+  flex: 1,
+  padding: "0.4rem",
+  background: "transparent",
+  border: "1px solid rgba(var(--ink-rgb),0.15)",
+  borderRadius: "4px",
+  color: "var(--text)",
+  font: "inherit",
+  cursor: "pointer",
+};
+
+export default function TunePanel() {
+  const scene = useScene();
+  const [saved, setSaved] = useState(scene); // what Reset returns to
+  const [status, setStatus] = useState(null);
+
+  const handleChange = (group, key, value) => {
+    setScene({ ...scene, [group]: { ...scene[group], [key]: value } });
+    setStatus(null);
+  };
+
+  const handleSave = async () => {
+    setStatus("Saving…");
+    try {
+      const res = await fetch(SCENE_ROUTE, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(scene),
+      });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error);
+      setSaved(scene);
+      setStatus("Saved to content/scene.json");
+    } catch (err) {
+      setStatus(err.message);
+    }
+  };
+
+  return (
+    <aside
+      aria-label="Scene tuning"
+      style={{
+        position: "fixed",
+        bottom: "1rem",
+        insetInlineEnd: "1rem",
+        width: "17rem",
+        maxHeight: "70vh",
+        overflowY: "auto",
+        zIndex: 60,
+        padding: "0.8rem",
+        background: "rgba(var(--surface-rgb),0.95)",
+        backdropFilter: "blur(10px)",
+        WebkitBackdropFilter: "blur(10px)",
+        border: "1px solid rgba(var(--ink-rgb),0.08)",
+        borderRadius: "8px",
+        boxShadow: "0 12px 60px rgba(0,0,0,0.12)",
+        color: "var(--text)",
+        fontFamily: "ui-monospace, Menlo, monospace",
+        fontSize: "0.7rem",
+      }}
+    >
+      {Object.entries(CONTROLS).map(([group, keys]) => (
+        <fieldset
+          key={group}
+          style={{ border: "none", margin: "0 0 0.6rem", padding: 0 }}
+        >
+          <legend style={legendStyle}>{group}</legend>
+          {Object.entries(keys).map(([key, [min, max, step]]) => (
+            <label key={key} style={rowStyle}>
+              {key}
+              <input
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={scene[group][key]}
+                onChange={(e) =>
+                  handleChange(group, key, Number(e.target.value))
+                }
+              />
+              <span style={{ textAlign: "end" }}>{scene[group][key]}</span>
+            </label>
+          ))}
+        </fieldset>
+      ))}
+      <fieldset style={{ border: "none", margin: "0 0 0.6rem", padding: 0 }}>
+        <legend style={legendStyle}>flights</legend>
+        {FLIGHT_PHASES.map((key) => (
+          <label
+            key={key}
+            style={{ ...rowStyle, gridTemplateColumns: "6.5rem 1fr" }}
+          >
+            {key}
+            <select
+              value={scene.flights[key]}
+              onChange={(e) => handleChange("flights", key, e.target.value)}
+              style={{ font: "inherit" }}
+            >
+              {Object.keys(EASINGS).map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </fieldset>
+      <div style={{ display: "flex", gap: "0.4rem" }}>
+        <button onClick={handleSave} style={buttonStyle}>
+          Save
+        </button>
+        <button
+          onClick={() => {
+            setScene(saved);
+            setStatus(null);
+          }}
+          style={buttonStyle}
+        >
+          Reset
+        </button>
+      </div>
+      {status && (
+        <p role="status" style={{ margin: "0.5rem 0 0" }}>
+          {status}
+        </p>
+      )}
+    </aside>
+  );
+}
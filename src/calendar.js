@@ -0,0 +1,104 @@
+// ============================================================
+// CALENDAR — iCalendar occurrences for the schedule view
+// ============================================================
+// Every function takes the ical.js module as its first argument: the
+// library is loaded on demand by ScheduleView, not bundled with the app.
+// ============================================================
+
+// Expand every VEVENT (RRULE, EXDATE and RECURRENCE-ID overrides included)
+// into concrete occurrences overlapping [from, from + days)
+export function expandSchedule(ICAL, ics, from, days) {
+  const calendar = new ICAL.Component(ICAL.parse(ics));
+  calendar
+    .getAllSubcomponents("vtimezone")
+    .forEach((tz) => ICAL.TimezoneService.register(tz));
+
+  const events = calendar
+    .getAllSubcomponents("vevent")
+    .map((vevent) => new ICAL.Event(vevent));
+  const masters = events.filter((e) => !e.isRecurrenceException());
+  events
+    .filter((e) => e.isRecurrenceException())
+    .forEach((ex) =>
+      masters.find((m) => m.uid === ex.uid)?.relateException(ex),
+    );
+
+  const rangeStart = ICAL.Time.fromJSDate(from, true);
+  const rangeEnd = rangeStart.clone();
+  rangeEnd.addDuration(new ICAL.Duration({ days }));
+
+  const occurrences = [];
+  const add = ({ item, startDate, endDate }) => {
+    if (endDate.compare(rangeStart) <= 0 || startDate.compare(rangeEnd) >= 0)
+      return;
+    if (item.component.getFirstPropertyValue("status") === "CANCELLED") return;
+    occurrences.push({
+      key: `${item.uid}-${startDate.toUnixTime()}`,
+      uid: item.uid,
+      title: item.summary,
+      description: item.description,
+      location: item.location,
+      start: startDate.toJSDate(),
+      end: endDate.toJSDate(),
+    });
+  };
+  masters.forEach((event) => {
+    if (!event.isRecurring()) {
+      add({ item: event, startDate: event.startDate, endDate: event.endDate });
+      return;
+    }
+    const it = event.iterator();
+    for (
+      let next = it.next();
+      next && next.compare(rangeEnd) < 0;
+      next = it.next()
+    )
+      add(event.getOccurrenceDetails(next));
+    // The iterator stops at rangeEnd, but an override can move a later
+    // occurrence into the range
+    Object.values(event.exceptions).forEach((ex) => {
+      if (ex.recurrenceId.compare(rangeEnd) >= 0)
+        add({ item: ex, startDate: ex.startDate, endDate: ex.endDate });
+    });
+  });
+  return occurrences.sort((a, b) => a.start - b.start);
+}
+
+// A standalone single-event calendar for one occurrence, in UTC
+function occurrenceToIcs(ICAL, occ) {
+  const calendar = new ICAL.Component(["vcalendar", [], []]);
+  calendar.updatePropertyWithValue("prodid", "-//Mica Oz//Portfolio//EN");
+  calendar.updatePropertyWithValue("version", "2.0");
+  const event = new ICAL.Component("vevent");
+  event.updatePropertyWithValue("uid", `${occ.key}@micaoz`);
+  event.updatePropertyWithValue(
+    "dtstamp",
+    ICAL.Time.fromJSDate(new Date(), true),
+  );
+  event.updatePropertyWithValue(
+    "dtstart",
+    ICAL.Time.fromJSDate(occ.start, true),
+  );
+  event.updatePropertyWithValue("dtend", ICAL.Time.fromJSDate(occ.end, true));
+  event.updatePropertyWithValue("summary", occ.title);
+  if (occ.location) event.updatePropertyWithValue("location", occ.location);
+  if (occ.description)
+    event.updatePropertyWithValue("description", occ.description);
+  calendar.addSubcomponent(event);
+  return calendar.toString();
+}
+
+export function downloadIcs(ICAL, occ) {
+  const blob = new Blob([occurrenceToIcs(ICAL, occ)], {
+    type: "text/calendar",
+  });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${occ.title.replace(/[^\w-]+/g, "-").toLowerCase()}-${occ.start
+    .toISOString()
+    .slice(0, 10)}.ics`;
+  a.click();
+  // Revoking right away cancels the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
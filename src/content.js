@@ -0,0 +1,70 @@
+import { useSyncExternalStore } from "react";
+import {
+  sections as initialSections,
+  locales as initialLocales,
+  defaultLocale,
+  scene as initialScene,
+  constellation as initialConstellation,
+  sceneRoute,
+} from "virtual:portfolio-content";
+
+// ============================================================
+// PORTFOLIO CONTENT
+// ============================================================
+// Sections come from content/sections/*.json and languages from
+// content/locales/*.json via plugins/content.js, the 3D scene's settings
+// from content/scene.json and the constellation's edges from
+// content/constellation.json. SECTIONS, LOCALES, SCENE and CONSTELLATION
+// are live bindings: in dev they are reassigned when a content file
+// changes, and components subscribed through useSections() or useScene()
+// re-render.
+// ============================================================
+
+export let SECTIONS = initialSections;
+export let LOCALES = initialLocales;
+export const DEFAULT_LOCALE = defaultLocale;
+export let SCENE = initialScene;
+// [{ id, from: "art/process", to: "dev/projects", label?, i18n? }]; ends
+// are id paths
+export let CONSTELLATION = initialConstellation;
+// Where the dev tuning panel saves content/scene.json (see plugins/scene.js)
+export const SCENE_ROUTE = sceneRoute;
+
+const listeners = new Set();
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function getSnapshot() {
+  return SECTIONS;
+}
+
+export function useSections() {
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+function getSceneSnapshot() {
+  return SCENE;
+}
+
+export function useScene() {
+  return useSyncExternalStore(subscribe, getSceneSnapshot);
+}
+
+// Live edits from the dev tuning panel, ahead of saving them to the file
+export function setScene(next) {
+  SCENE = next;
+  listeners.forEach((listener) => listener());
+}
+
+if (import.meta.hot) {
+  import.meta.hot.on("portfolio-content:update", (next) => {
+    SECTIONS = next.sections;
+    LOCALES = next.locales;
+    SCENE = next.scene;
+    CONSTELLATION = next.constellation;
+    listeners.forEach((listener) => listener());
+  });
+}
@@ -0,0 +1,90 @@
+import * as THREE from "three";
+
+// ============================================================
+// CAMERA FLIGHTS
+// ============================================================
+// A flight is planned once, when it starts, as a smooth curve from the
+// camera to its parked pose: waypoints are added wherever the straight way
+// would pass through a sphere, and the curve runs through them. The node
+// flown to keeps orbiting meanwhile, so flightPoint shifts the curve by
+// how far the end has moved since, in proportion to progress.
+// ============================================================
+
+// Easing per flight phase, named in content/scene.json (SCENE.flights).
+// plugins/scene.js accepts these names.
+export const EASINGS = {
+  linear: (t) => t,
+  easeInOutSine: (t) => (1 - Math.cos(Math.PI * t)) / 2,
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+  easeInOutCubic: (t) =>
+    t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+  easeInOutQuint: (t) =>
+    t < 0.5 ? 16 * Math.pow(t, 5) : 1 - Math.pow(-2 * t + 2, 5) / 2,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeOutExpo: (t) => (t >= 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+};
+
+// Detours allowed per flight, so a crowded path can't stall the planner
+const MAX_DETOURS = 8;
+// How far outside an obstacle's clearance a detour passes, for the curve
+// cutting a little inside its waypoints
+const DETOUR_MARGIN = 1.25;
+
+const _segment = new THREE.Line3();
+const _closest = new THREE.Vector3();
+const _shift = new THREE.Vector3();
+
+// A point to route a→b through instead of cutting into the obstacle it
+// cuts deepest into, or null when the way is clear. Obstacles around
+// either end can't be avoided, so they don't count.
+function detour(a, b, obstacles) {
+  _segment.set(a, b);
+  let worst = null;
+  let deepest = 0;
+  const away = new THREE.Vector3();
+  for (const { center, radius } of obstacles) {
+    if (a.distanceTo(center) < radius || b.distanceTo(center) < radius)
+      continue;
+    _segment.closestPointToPoint(center, true, _closest);
+    const depth = radius - _closest.distanceTo(center);
+    if (depth <= deepest) continue;
+    deepest = depth;
+    worst = { center, radius };
+    away.subVectors(_closest, center);
+  }
+  if (!worst) return null;
+  // Straight through the center: sidestep perpendicular to the way
+  if (away.lengthSq() < 1e-10) {
+    away.subVectors(b, a).cross(THREE.Object3D.DEFAULT_UP);
+    if (away.lengthSq() < 1e-10) away.set(1, 0, 0);
+  }
+  return away.setLength(worst.radius * DETOUR_MARGIN).add(worst.center);
+}
+
+// Plan a flight from `start` to `end` through `via` (in order), around
+// `obstacles` ({ center, radius } with radius the clearance to keep)
+export function planFlight(start, end, obstacles, via = []) {
+  const points = [start, ...via, end].map((p) => p.clone());
+  let detours = 0;
+  for (let i = 0; i < points.length - 1 && detours < MAX_DETOURS;) {
+    const point = detour(points[i], points[i + 1], obstacles);
+    if (point) {
+      points.splice(i + 1, 0, point);
+      detours++;
+    } else {
+      i++;
+    }
+  }
+  const curve =
+    points.length > 2
+      ? new THREE.CatmullRomCurve3(points, false, "centripetal")
+      : new THREE.LineCurve3(points[0], points[1]);
+  return { curve, end: end.clone(), waypoints: points.length - 2 };
+}
+
+// Where the camera is at eased progress `t`, given where the end is now.
+// Writes into `target` and returns it.
+export function flightPoint(flight, t, end, target) {
+  flight.curve.getPointAt(t, target);
+  return target.addScaledVector(_shift.subVectors(end, flight.end), t);
+}
@@ -0,0 +1,73 @@
+import { useEffect, useRef } from "react";
+
+// ============================================================
+// OVERLAY HOOKS
+// ============================================================
+// Shared by the dialogs and panels drawn over the scene: the link panel,
+// the gallery lightbox and the command palette.
+// ============================================================
+
+// Overlays that hide the whole scene (the lightbox) register here while
+// they're up; anything that leaves part of it showing doesn't
+export let sceneCovers = 0;
+export function useSceneCover() {
+  useEffect(() => {
+    sceneCovers++;
+    return () => {
+      sceneCovers--;
+    };
+  }, []);
+}
+
+// Keeps Tab inside a dialog-like container while active, routes Escape to
+// onEscape, and hands focus back to whatever had it before on release.
+// Traps nest: only the most recently activated one handles keys.
+const FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+const focusTrapStack = [];
+
+export function useFocusTrap(containerRef, active, onEscape) {
+  const onEscapeRef = useRef(onEscape);
+
+  useEffect(() => {
+    onEscapeRef.current = onEscape;
+  }, [onEscape]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!active || !container) return;
+
+    const previous = document.activeElement;
+    const trap = { container };
+    focusTrapStack.push(trap);
+    container.focus();
+
+    const onKeyDown = (e) => {
+      if (focusTrapStack[focusTrapStack.length - 1] !== trap) return;
+      if (e.key === "Escape") {
+        e.preventDefault();
+        onEscapeRef.current?.();
+        return;
+      }
+      if (e.key !== "Tab") return;
+      const els = [...container.querySelectorAll(FOCUSABLE)].filter(
+        (el) => el.tabIndex >= 0,
+      );
+      if (!els.length) {
+        e.preventDefault();
+        return;
+      }
+      const i = els.indexOf(document.activeElement);
+      if (e.shiftKey ? i <= 0 : i === els.length - 1) {
+        e.preventDefault();
+        (e.shiftKey ? els[els.length - 1] : els[0]).focus();
+      }
+    };
+    document.addEventListener("keydown", onKeyDown);
+    return () => {
+      document.removeEventListener("keydown", onKeyDown);
+      focusTrapStack.splice(focusTrapStack.indexOf(trap), 1);
+      if (previous && document.contains(previous)) previous.focus();
+    };
+  }, [active, containerRef]);
+}
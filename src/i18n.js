@@ -0,0 +1,88 @@
+import { useSyncExternalStore } from "react";
+import { DEFAULT_LOCALE, LOCALES } from "./content.js";
+import { readStored, writeStored } from "./storage.js";
+
+// ============================================================
+// LOCALE
+// ============================================================
+// The visitor's language: the URL's locale prefix (#/es/dev/resume) wins,
+// then a choice remembered from the switcher, then the browser's languages,
+// then the default. LOCALE is a live binding like SECTIONS; components
+// re-render through useLocale().
+// ============================================================
+
+function storedLocale() {
+  const stored = readStored("locale");
+  return LOCALES[stored] ? stored : null;
+}
+
+// "es-MX" matches an "es-MX" file first, then "es"
+function browserLocale() {
+  for (const tag of navigator.languages ?? [navigator.language]) {
+    if (LOCALES[tag]) return tag;
+    const [base] = tag.split("-");
+    if (LOCALES[base]) return base;
+  }
+  return null;
+}
+
+// The locale code leading the hash route, if there is one
+export function hashLocale(hash) {
+  const [first] = hash.replace(/^#\/?/, "").split("/");
+  return LOCALES[first] ? first : null;
+}
+
+export let LOCALE =
+  hashLocale(window.location.hash) ??
+  storedLocale() ??
+  browserLocale() ??
+  DEFAULT_LOCALE;
+
+const listeners = new Set();
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function getSnapshot() {
+  return LOCALE;
+}
+
+export function useLocale() {
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+// `remember` keeps an explicit choice for the next visit
+export function setLocale(code, { remember = false } = {}) {
+  if (!LOCALES[code]) return;
+  if (remember) writeStored("locale", code);
+  if (code === LOCALE) return;
+  LOCALE = code;
+  listeners.forEach((listener) => listener());
+}
+
+export function localeDir(code = LOCALE) {
+  return LOCALES[code]?.dir ?? "ltr";
+}
+
+// UI string by key, falling back to the default locale. {name} placeholders
+// are filled from params; plural messages pick their form by params.count.
+export function t(key, params = {}) {
+  let message =
+    LOCALES[LOCALE]?.ui[key] ?? LOCALES[DEFAULT_LOCALE].ui[key] ?? key;
+  if (typeof message === "object")
+    message =
+      message[new Intl.PluralRules(LOCALE).select(params.count)] ??
+      message.other;
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined) return match;
+    return typeof value === "number" ? value.toLocaleString(LOCALE) : value;
+  });
+}
+
+// A content field in the current locale, or as written in content/sections
+export function localized(node, field) {
+  return node.i18n?.[LOCALE]?.[field] ?? node[field];
+}
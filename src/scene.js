@@ -0,0 +1,847 @@
+import * as THREE from "three";
+import { EASINGS, flightPoint } from "./flight.js";
+
+// ============================================================
+// 3D SCENE — nodes, their instances, and the per-frame step
+// ============================================================
+// Everything the render loop does short of drawing, kept clear of React
+// and the content module so scripts/bench-scene.js can run it in Node.
+// Scene3D builds the nodes with buildNodes and calls stepScene once a
+// frame; the step allocates nothing, writing into scratch objects below and
+// into the frame it's handed.
+// ============================================================
+
+// In reduced-motion mode every flight becomes a short dip-to-background cut
+const REDUCED_MOTION_DURATION = 0.5;
+
+// Seeded pseudo-random per sub-sphere, from its index at each level
+const SEED_PRIMES = [7, 13, 17, 19, 23];
+function subSeed(indices) {
+  return indices.reduce(
+    (seed, i, depth) => seed + i * SEED_PRIMES[depth % SEED_PRIMES.length],
+    0,
+  );
+}
+function seededVal(seed, mult) {
+  return ((seed * mult) % 100) / 100;
+}
+
+// Each level down the content tree is drawn at half the size of the one
+// above: moon radius, orbit radius and camera distance shrink together.
+// Moons of sections (depth 2) are the reference size.
+function levelScale(depth) {
+  return Math.pow(0.5, depth - 2);
+}
+
+// Where the camera parks to look at a node: far enough back to frame the
+// moons of a node that has them, close in on a leaf. Written into `target`,
+// so the render loop can reuse one vector. `config` is SCENE.camera.
+export function parkedCameraPos(
+  mesh,
+  config,
+  lift = 0,
+  target = new THREE.Vector3(),
+) {
+  const { depth, hasChildren } = mesh.userData;
+  const { parentDistance, parentLift, leafDistance, leafLift } = config;
+  const k = levelScale(depth);
+  const pos = mesh.position;
+  target
+    .copy(pos)
+    .normalize()
+    .multiplyScalar((hasChildren ? parentDistance : leafDistance) * k)
+    .add(pos);
+  target.y += ((hasChildren ? parentLift : leafLift) + lift) * k;
+  return target;
+}
+
+// The overview camera pose for the current spin and zoom: `rotation.x` is
+// the elevation, `rotation.y` the azimuth. Written into `target`.
+export function homeCameraPos(
+  rotation,
+  distance,
+  target = new THREE.Vector3(),
+) {
+  const { x: phi, y: theta } = rotation;
+  return target.set(
+    distance * Math.cos(phi) * Math.sin(theta),
+    distance * Math.sin(phi),
+    distance * Math.cos(phi) * Math.cos(theta),
+  );
+}
+
+// Sphere and ring color of a node in a theme; moons are their section's
+// color shaded toward the theme's moonShade
+export function nodeColor(theme, sectionColor, depth) {
+  const color = new THREE.Color(theme.accent(sectionColor));
+  if (depth === 1) return color;
+  return color.lerp(new THREE.Color(theme.moonShade), 0.15);
+}
+
+// Materials ease toward userData.targetColor every frame, so switching
+// themes fades the scene instead of snapping it
+export function setTargetColor(material, color, immediate = false) {
+  material.userData.targetColor = new THREE.Color(color);
+  if (immediate) material.color.copy(material.userData.targetColor);
+}
+
+// -- Instanced nodes --
+// Spheres and rings are drawn as one instanced mesh per kind, so more links
+// mean more instances rather than more draw calls. Geometry is in units of
+// a node's radius; each node is a bare Object3D (position, scale, userData)
+// that the render loop copies into its instances every frame.
+const SPHERE_KINDS = {
+  planet: () => [
+    new THREE.SphereGeometry(1, 32, 32),
+    new THREE.MeshStandardMaterial({ roughness: 0.2, metalness: 0.05 }),
+  ],
+  moon: () => [
+    new THREE.SphereGeometry(1, 24, 24),
+    new THREE.MeshStandardMaterial({ roughness: 0.15, metalness: 0.1 }),
+  ],
+};
+const RING_KINDS = {
+  planet: () => new THREE.RingGeometry(0.112 / 0.09, 0.128 / 0.09, 32),
+  moon: () => new THREE.RingGeometry(0.055 / 0.045, 0.068 / 0.045, 24),
+  // Outbound links get a broken ring so they read differently
+  broken: () =>
+    new THREE.RingGeometry(
+      0.055 / 0.045,
+      0.068 / 0.045,
+      24,
+      1,
+      0.5,
+      Math.PI * 2 - 1,
+    ),
+};
+
+// InstancedMesh carries a color per instance but no alpha; the material
+// reads one from an instanceOpacity attribute instead
+function withInstanceOpacity(material) {
+  material.transparent = true;
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        "#include <common>",
+        "#include <common>\nattribute float instanceOpacity;\nvarying float vInstanceOpacity;",
+      )
+      .replace(
+        "#include <begin_vertex>",
+        "#include <begin_vertex>\nvInstanceOpacity = instanceOpacity;",
+      );
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        "#include <common>",
+        "#include <common>\nvarying float vInstanceOpacity;",
+      )
+      .replace(
+        "#include <color_fragment>",
+        "#include <color_fragment>\ndiffuseColor.a *= vInstanceOpacity;",
+      );
+  };
+  return material;
+}
+
+// One instanced mesh for `nodes`; userData.nodes maps an instanceId (as
+// reported by the raycaster) back to its node
+function createBatch(geometry, material, nodes) {
+  const count = nodes.length;
+  geometry.setAttribute(
+    "instanceOpacity",
+    new THREE.InstancedBufferAttribute(new Float32Array(count), 1).setUsage(
+      THREE.DynamicDrawUsage,
+    ),
+  );
+  const batch = new THREE.InstancedMesh(
+    geometry,
+    withInstanceOpacity(material),
+    count,
+  );
+  batch.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  // Instances spread over the whole scene and move every frame
+  batch.frustumCulled = false;
+  batch.userData.nodes = nodes;
+  return batch;
+}
+
+// Spheres at least this opaque draw as solid and write depth
+const OPAQUE_OPACITY = 0.99;
+
+const _instanceMatrix = new THREE.Matrix4();
+const _facing = new THREE.Matrix4();
+const _ringRotation = new THREE.Quaternion();
+const _noRotation = new THREE.Quaternion();
+const _instanceScale = new THREE.Vector3();
+
+// Scratch vectors for the render loop, which allocates none of its own
+const _parkedPos = new THREE.Vector3();
+const _homePos = new THREE.Vector3();
+const _projected = new THREE.Vector3();
+
+// Where a world point lands on screen, in CSS pixels; z > 1 is behind the
+// camera. Overlay labels and cards are placed with this. Written into
+// `target`, so the render loop can reuse its own.
+export function projectToScreen(point, camera, width, height, target = {}) {
+  const p = _projected.copy(point).project(camera);
+  target.x = ((p.x + 1) / 2) * width;
+  target.y = ((-p.y + 1) / 2) * height;
+  target.z = p.z;
+  return target;
+}
+
+// Copy a node into its sphere and ring instances. Hidden nodes collapse to
+// zero scale; a sphere below OPAQUE_OPACITY draws in the translucent batch
+// and collapses in the opaque one, and the other way round; rings turn to
+// face the camera.
+function writeInstances(node, camera) {
+  const { sphere, ring, radius, color, opacity, ringOpacity, ringScale } =
+    node.userData;
+  const size = node.visible ? node.scale.x * radius : 0;
+  const translucent = opacity < OPAQUE_OPACITY;
+  const shown = translucent ? sphere.translucent : sphere.batch;
+  const collapsed = translucent ? sphere.batch : sphere.translucent;
+
+  _instanceMatrix.compose(
+    node.position,
+    _noRotation,
+    _instanceScale.set(0, 0, 0),
+  );
+  collapsed.setMatrixAt(sphere.index, _instanceMatrix);
+  _instanceMatrix.compose(
+    node.position,
+    _noRotation,
+    _instanceScale.setScalar(size),
+  );
+  shown.setMatrixAt(sphere.index, _instanceMatrix);
+  shown.setColorAt(sphere.index, color);
+  shown.geometry.attributes.instanceOpacity.setX(sphere.index, opacity);
+
+  _facing.lookAt(camera.position, node.position, THREE.Object3D.DEFAULT_UP);
+  _instanceMatrix.compose(
+    node.position,
+    _ringRotation.setFromRotationMatrix(_facing),
+    _instanceScale.setScalar(size * ringScale),
+  );
+  ring.batch.setMatrixAt(ring.index, _instanceMatrix);
+  ring.batch.setColorAt(ring.index, color);
+  ring.batch.geometry.attributes.instanceOpacity.setX(ring.index, ringOpacity);
+}
+
+// Flag a batch's buffers for upload after writeInstances; the bounding
+// sphere is dropped so raycasts see where the instances are now
+function commitBatch(batch) {
+  batch.instanceMatrix.needsUpdate = true;
+  if (batch.instanceColor) batch.instanceColor.needsUpdate = true;
+  batch.geometry.attributes.instanceOpacity.needsUpdate = true;
+  batch.boundingSphere = null;
+}
+
+// Whether a sphere (center, radius) hides `point` from the camera at `eye`:
+// the line of sight passes through the sphere on its way to the point
+function hiddenBehind(point, center, radius, eye) {
+  const dx = point.x - eye.x;
+  const dy = point.y - eye.y;
+  const dz = point.z - eye.z;
+  const cx = center.x - eye.x;
+  const cy = center.y - eye.y;
+  const cz = center.z - eye.z;
+  // Closest approach to the center along the sight line, 0 at the eye and
+  // 1 at the point
+  const t = (cx * dx + cy * dy + cz * dz) / (dx * dx + dy * dy + dz * dz);
+  if (t <= 0 || t >= 1) return false;
+  const ox = cx - dx * t;
+  const oy = cy - dy * t;
+  const oz = cz - dz * t;
+  return ox * ox + oy * oy + oz * oz < radius * radius;
+}
+
+// Whether a node lies on the path to `activeKey`; "" is the overview
+export function onActivePath(key, activeKey) {
+  return (
+    key === "" ||
+    key === activeKey ||
+    (activeKey.startsWith(key) && activeKey[key.length] === "/")
+  );
+}
+
+// Constellation arcs: a quadratic curve between two nodes, bowed away from
+// the center of the torus so it clears the spheres in between
+const ARC_SEGMENTS = 24;
+export const ARC_HIT_RADIUS = 6; // px from the drawn arc that still counts
+const _arcControl = new THREE.Vector3();
+const _arcPoint = new THREE.Vector3();
+
+function createArc(from, to, edge) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(new Float32Array((ARC_SEGMENTS + 1) * 3), 3),
+  );
+  const material = new THREE.LineBasicMaterial({
+    transparent: true,
+    opacity: 0,
+  });
+  const line = new THREE.Line(geometry, material);
+  line.userData = { from, to, edge };
+  // Points move every frame, like the instances
+  line.frustumCulled = false;
+  return line;
+}
+
+// Rewrite an arc's points from where its two ends are now
+function writeArc(line) {
+  const a = line.userData.from.position;
+  const b = line.userData.to.position;
+  const bow = a.distanceTo(b) * 0.35;
+  _arcControl.addVectors(a, b).multiplyScalar(0.5);
+  const out = _arcControl.length();
+  if (out < 1e-3) _arcControl.y += bow;
+  else _arcControl.multiplyScalar(1 + bow / out);
+
+  const position = line.geometry.attributes.position;
+  for (let i = 0; i <= ARC_SEGMENTS; i++) {
+    const t = i / ARC_SEGMENTS;
+    const s = 1 - t;
+    position.setXYZ(
+      i,
+      s * s * a.x + 2 * s * t * _arcControl.x + t * t * b.x,
+      s * s * a.y + 2 * s * t * _arcControl.y + t * t * b.y,
+      s * s * a.z + 2 * s * t * _arcControl.z + t * t * b.z,
+    );
+  }
+  position.needsUpdate = true;
+}
+
+// Screen distance from (x, y) to a drawn arc, in CSS pixels; Infinity when
+// it's all behind the camera
+export function arcDistance(line, camera, x, y, width, height) {
+  const position = line.geometry.attributes.position;
+  let best = Infinity;
+  let prev = null;
+  for (let i = 0; i <= ARC_SEGMENTS; i++) {
+    const p = projectToScreen(
+      _arcPoint.fromBufferAttribute(position, i),
+      camera,
+      width,
+      height,
+    );
+    if (p.z > 1) {
+      prev = null;
+      continue;
+    }
+    if (prev) {
+      const dx = p.x - prev.x;
+      const dy = p.y - prev.y;
+      const lengthSq = dx * dx + dy * dy;
+      const t = lengthSq
+        ? Math.max(
+            0,
+            Math.min(1, ((x - prev.x) * dx + (y - prev.y) * dy) / lengthSq),
+          )
+        : 0;
+      best = Math.min(
+        best,
+        Math.hypot(prev.x + dx * t - x, prev.y + dy * t - y),
+      );
+    }
+    prev = p;
+  }
+  return best;
+}
+
+// -- Building --
+// A node per section and per link, as deep as the content goes, drawn by
+// instanced batches, and an arc per constellation edge whose ends both
+// exist. `isOutbound(link)` picks the broken ring for links leading out of
+// the site. Nothing is added to a scene; the caller adds the batches and
+// arcs, and disposes of them.
+export function buildNodes(sections, edges, theme, isOutbound) {
+  const nodes = []; // parents before their moons
+  const byKey = new Map(); // "dev/projects" → node
+  const batches = [];
+  const arcs = [];
+
+  // userData.key is the node's id path joined with "/"; sections count
+  // the overview ("") as both parent and grandparent. Nodes are grouped
+  // by the kind of sphere and ring they are drawn with.
+  const sphereGroups = { planet: [], moon: [] };
+  const ringGroups = { planet: [], moon: [], broken: [] };
+  // userData is spelled out field by field rather than spread from
+  // `fields`: V8 keeps the numbers of a spread-built object boxed, and every
+  // write the render loop makes to one would allocate. The eased values
+  // start at 0, which stepScene reads as not yet set.
+  const addNode = (fields, sphereKind, ringKind) => {
+    const anchor = new THREE.Object3D();
+    const color = nodeColor(theme, fields.sectionColor, fields.depth);
+    anchor.userData = {
+      radius: fields.radius,
+      opacity: fields.opacity,
+      ringOpacity: fields.ringOpacity,
+      sectionColor: fields.sectionColor,
+      node: fields.node,
+      path: fields.path,
+      key: fields.key,
+      parentKey: fields.parentKey,
+      grandparentKey: fields.grandparentKey,
+      depth: fields.depth,
+      index: fields.index,
+      seed: fields.seed ?? 0,
+      hasChildren: fields.hasChildren,
+      color,
+      targetColor: color.clone(),
+      ringScale: 1,
+      labelVisibility: 1,
+      progress: 0, // along the torus, for sections
+      _cOrbitR: 0, // eased orbit radius and scale, for moons
+      _cScale: 0,
+      sphere: { kind: sphereKind, index: sphereGroups[sphereKind].length },
+      ring: { kind: ringKind, index: ringGroups[ringKind].length },
+    };
+    sphereGroups[sphereKind].push(anchor);
+    ringGroups[ringKind].push(anchor);
+    nodes.push(anchor);
+    byKey.set(fields.key, anchor);
+    return anchor;
+  };
+
+  // Parent spheres
+  const planets = sections.map((section, sIdx) =>
+    addNode(
+      {
+        radius: 0.09,
+        opacity: 1,
+        ringOpacity: 0.25,
+        sectionColor: section.color,
+        node: section,
+        path: [section.id],
+        key: section.id,
+        parentKey: "",
+        grandparentKey: "",
+        depth: 1,
+        index: sIdx,
+        hasChildren: true,
+      },
+      "planet",
+      "planet",
+    ),
+  );
+
+  // Sub-spheres, recursing into links that have their own links
+  const addMoons = (node, parent, indices, color) => {
+    node.links?.forEach((link, i) => {
+      const depth = parent.depth + 1;
+      const path = [...parent.path, link.id];
+      const sub = addNode(
+        {
+          radius: 0.045 * levelScale(depth),
+          // Moons of moons start hidden until their grandparent is entered
+          opacity: depth > 2 ? 0 : 0.8,
+          ringOpacity: depth > 2 ? 0 : 0.2,
+          sectionColor: color,
+          node: link,
+          path,
+          key: path.join("/"),
+          parentKey: parent.key,
+          grandparentKey: parent.parentKey,
+          depth,
+          index: i,
+          seed: subSeed([...indices, i]),
+          hasChildren: !!link.links?.length,
+        },
+        "moon",
+        isOutbound(link) ? "broken" : "moon",
+      );
+      addMoons(link, sub.userData, [...indices, i], color);
+    });
+  };
+  sections.forEach((section, sIdx) =>
+    addMoons(section, planets[sIdx].userData, [sIdx], section.color),
+  );
+
+  // One instanced mesh per kind in use; rings draw after the spheres
+  // they surround and don't hide each other
+  const addBatch = (geometry, material, group, slot, field = "batch") => {
+    const batch = createBatch(geometry, material, group);
+    group.forEach((anchor) => (anchor.userData[slot][field] = batch));
+    batches.push(batch);
+    return batch;
+  };
+  // Spheres come in two batches: fully opaque instances write depth, and
+  // translucent ones (dimmed, fading) don't, so they never hide what's
+  // behind them. Each node shows in one and collapses in the other.
+  Object.entries(sphereGroups).forEach(([kind, group]) => {
+    if (!group.length) return;
+    addBatch(...SPHERE_KINDS[kind](), group, "sphere").material.transparent =
+      false;
+    const [geometry, material] = SPHERE_KINDS[kind]();
+    material.depthWrite = false;
+    addBatch(geometry, material, group, "sphere", "translucent");
+  });
+  Object.entries(ringGroups).forEach(([kind, group]) => {
+    if (!group.length) return;
+    const material = new THREE.MeshBasicMaterial({
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    });
+    addBatch(RING_KINDS[kind](), material, group, "ring").renderOrder = 1;
+  });
+
+  // Constellation arcs between related nodes
+  edges.forEach((edge) => {
+    const from = byKey.get(edge.from);
+    const to = byKey.get(edge.to);
+    if (!from || !to) return;
+    const line = createArc(from, to, edge);
+    setTargetColor(line.material, theme.constellation, true);
+    arcs.push(line);
+  });
+
+  return { nodes, byKey, batches, arcs };
+}
+
+// -- The per-frame step --
+// What stepScene reads and writes, in one object the caller fills in
+// before each frame and reads back after. The step writes results into it
+// in place: `hover` and the pooled `moons` are reused from frame to frame.
+export function createFrame() {
+  return {
+    // Built by buildNodes; torusPosition(progress, target) places sections
+    camera: null,
+    anim: null, // Scene3D's camera animation
+    nodes: [],
+    byKey: new Map(),
+    batches: [],
+    arcs: [],
+    lineMaterial: null,
+    torusPosition: null,
+    config: null, // SCENE
+    // Navigation and input
+    activeKey: "",
+    showConstellation: false,
+    reducedMotion: false,
+    dragging: false,
+    focusIndex: -1, // keyboard-focused sphere at the current level
+    hoverKey: null,
+    hoverArc: null,
+    width: 0, // viewport, in CSS pixels
+    height: 0,
+    // Spin and zoom. The rotations change in place; autoRotate and zoom
+    // are written back.
+    rotation: null,
+    targetRotation: null,
+    autoRotate: 0,
+    zoom: 0,
+    targetZoom: 0,
+    // Results: the camera phase (null while nothing moves it) and flight
+    // progress, the node or arc to preview (path or edge, at x, y, z), and
+    // the focused node's moons on screen
+    phase: null,
+    progress: 0,
+    hover: { path: null, edge: null, x: 0, y: 0, z: 0 },
+    moons: [], // { x, y, z, opacity }, the first moonCount of them current
+    moonCount: 0,
+  };
+}
+
+// Advance the scene to `time`: camera, nodes, their instances and the arcs
+export function stepScene(frame, time, delta) {
+  const { camera, anim, nodes, byKey, config, activeKey, reducedMotion } =
+    frame;
+  const { rotation, targetRotation } = frame;
+  const focus = byKey.get(activeKey);
+
+  // Auto-rotate
+  if (!frame.dragging && !anim.active && !activeKey && !reducedMotion) {
+    frame.autoRotate += delta * config.orbits.autoRotate;
+    targetRotation.y = frame.autoRotate;
+  } else if (frame.dragging) {
+    frame.autoRotate = targetRotation.y;
+  }
+  rotation.x += (targetRotation.x - rotation.x) * 0.05;
+  rotation.y += (targetRotation.y - rotation.y) * 0.05;
+  frame.zoom += (frame.targetZoom - frame.zoom) * 0.05;
+
+  // Camera animation
+  frame.phase = null;
+  frame.progress = 0;
+  if (anim.active) {
+    anim.progress +=
+      delta / (reducedMotion ? REDUCED_MOTION_DURATION : anim.duration);
+    if (anim.progress >= 1) {
+      anim.progress = 1;
+      anim.active = false;
+    }
+    // Reduced motion: hold the start pose while fading out, cut to the
+    // end pose at the midpoint, then fade back in
+    const t = reducedMotion
+      ? anim.progress < 0.5
+        ? 0
+        : 1
+      : EASINGS[config.flights[anim.phase]](anim.progress);
+
+    // Along the planned path, shifted to where the target is now
+    const target = anim.targetKey && byKey.get(anim.targetKey);
+    if (target) {
+      flightPoint(
+        anim.flight,
+        t,
+        parkedCameraPos(target, config.camera, 0, _parkedPos),
+        camera.position,
+      );
+      anim.currentLookAt.lerpVectors(anim.startLookAt, target.position, t);
+    } else {
+      // Home follows the spin and zoom, which stay live on the way
+      flightPoint(
+        anim.flight,
+        t,
+        homeCameraPos(rotation, frame.zoom, _homePos),
+        camera.position,
+      );
+      anim.currentLookAt.lerpVectors(anim.startLookAt, anim.endLookAt, t);
+    }
+    // The speed carried over from the flight or orbit this one took
+    // over from: leaving at that speed, fading out over the first fifth
+    const p = anim.progress;
+    if (!reducedMotion)
+      camera.position.addScaledVector(
+        anim.carry,
+        anim.duration * p * Math.pow(1 - p, 4),
+      );
+    camera.lookAt(anim.currentLookAt);
+    frame.phase = anim.phase;
+    frame.progress = anim.progress;
+  } else if (!activeKey) {
+    // Home orbit — full spherical
+    homeCameraPos(rotation, frame.zoom, camera.position);
+    // Flip up-vector when camera goes past the poles to prevent snapping
+    const up = Math.cos(rotation.x) >= 0 ? 1 : -1;
+    camera.up.set(0, up, 0);
+    camera.lookAt(0, 0, 0);
+    frame.phase = "home";
+  } else if (focus) {
+    // Parked at the focused node, following it along its orbit
+    const { hasChildren } = focus.userData;
+    const breathe = reducedMotion
+      ? 0
+      : Math.sin(time * (hasChildren ? 0.4 : 0.3)) * 0.005;
+    camera.position.lerp(
+      parkedCameraPos(focus, config.camera, breathe, _parkedPos),
+      0.03,
+    );
+    camera.lookAt(focus.position);
+    frame.phase = hasChildren ? "parkedAtParent" : "parkedAtSub";
+  }
+  // Camera speed, for a flight that takes over from here
+  if (delta > 0)
+    anim.velocity.subVectors(camera.position, anim.lastPos).divideScalar(delta);
+  anim.lastPos.copy(camera.position);
+
+  let focusedKey = null; // picked with the arrow keys
+
+  // Update nodes, parents before their moons. Opacity, scale and orbit
+  // radius follow each node's relation to the active path.
+  for (let n = 0; n < nodes.length; n++) {
+    const anchor = nodes[n];
+    const state = anchor.userData;
+    const {
+      color,
+      targetColor,
+      node,
+      key,
+      parentKey,
+      grandparentKey,
+      depth,
+      index,
+      seed,
+      hasChildren,
+    } = state;
+    const isFocus = key === activeKey;
+    const parentOnPath = onActivePath(parentKey, activeKey);
+    const focused = parentKey === activeKey && frame.focusIndex === index;
+    if (focused) focusedKey = key;
+
+    // Opacity: the focused node recedes behind its moons (or glows, for
+    // a leaf), ancestors and siblings dim, and moons more than one level
+    // off the active path stay hidden
+    let targetOp, targetRingOp;
+    if (isFocus) {
+      targetOp = hasChildren ? 0.25 : 1.0;
+      targetRingOp = 0.5;
+    } else if (onActivePath(key, activeKey)) {
+      targetOp = 0.12;
+      targetRingOp = 0.2;
+    } else if (parentKey === activeKey) {
+      targetOp = activeKey ? 0.95 : 1;
+      targetRingOp = activeKey ? 0.35 : 0.25;
+    } else if (parentOnPath) {
+      targetOp = depth === 1 ? 0.06 : 0.15;
+      targetRingOp = depth === 1 ? 0.03 : 0.35;
+    } else if (onActivePath(grandparentKey, activeKey)) {
+      targetOp = 0.8;
+      targetRingOp = 0.2;
+    } else {
+      targetOp = 0;
+      targetRingOp = 0;
+    }
+    const rate = depth === 1 ? 0.05 : 0.06;
+    color.lerp(targetColor, 0.05);
+    state.opacity += (targetOp - state.opacity) * rate;
+    state.ringOpacity +=
+      ((focused ? 0.9 : targetRingOp) - state.ringOpacity) *
+      (focused ? 0.2 : rate);
+    anchor.visible = state.opacity > 0.01;
+
+    if (depth === 1) {
+      // Sections ride the torus spiral
+      const speed = node.orbitSpeed * config.orbits.sectionSpeed;
+      state.progress = time * speed + node.orbitOffset;
+      frame.torusPosition(state.progress, anchor.position);
+      if (reducedMotion) anchor.scale.setScalar(isFocus ? 2.0 : 1);
+      else
+        anchor.scale.setScalar(
+          isFocus
+            ? 2.0 + Math.sin(time * 1.2) * 0.2
+            : 1 + Math.sin(time * 2 + index * 2) * 0.06,
+        );
+    } else {
+      // Moons orbit their parent (seeded randomness)
+      const k = levelScale(depth);
+      const orbitSpeed =
+        config.orbits.moonSpeed +
+        seededVal(seed, 17) * config.orbits.moonSpeedRange;
+      const tiltAngle = 0.4 + seededVal(seed, 31) * 1.2;
+      const tiltAxis = seededVal(seed, 43) * Math.PI * 2;
+      const orbitDir = (seed * 53) % 2 === 0 ? 1 : -1;
+      const radiusVar = 0.85 + seededVal(seed, 61) * 0.3;
+      const startAngle = seededVal(seed, 71) * Math.PI * 2;
+
+      // Moons spread out once their parent is entered; the focused moon
+      // grows, and a leaf also pulls in close to its parent
+      const baseScale = parentOnPath ? 1.0 : 0.45;
+      const baseOrbitR = (parentOnPath ? 0.3 : 0.18) * k;
+      const targetScale = isFocus ? (hasChildren ? 2.0 : 2.5) : baseScale;
+      const targetOrbitR =
+        isFocus && !hasChildren ? 0.1 * k : baseOrbitR * radiusVar;
+
+      if (!state._cOrbitR) state._cOrbitR = targetOrbitR;
+      state._cOrbitR += (targetOrbitR - state._cOrbitR) * 0.04;
+
+      if (!state._cScale) state._cScale = targetScale;
+      state._cScale += (targetScale - state._cScale) * 0.05;
+
+      const parentPos = byKey.get(parentKey).position;
+      const angle = startAngle + time * orbitSpeed * orbitDir;
+      const oR = state._cOrbitR;
+      const lx = Math.cos(angle) * oR;
+      const lz = Math.sin(angle) * oR;
+      const cosT = Math.cos(tiltAngle),
+        sinT = Math.sin(tiltAngle);
+      const cosA = Math.cos(tiltAxis),
+        sinA = Math.sin(tiltAxis);
+      const x = lx * cosA - lz * sinA;
+      const flat = lx * sinA + lz * cosA;
+      anchor.position.set(
+        parentPos.x + x,
+        parentPos.y + flat * sinT,
+        parentPos.z + flat * cosT,
+      );
+
+      const pulse = reducedMotion
+        ? 1
+        : 1 + Math.sin(time * (2.0 + seededVal(seed, 83) * 1.5) + seed) * 0.08;
+      anchor.scale.setScalar(state._cScale * pulse);
+    }
+
+    state.ringScale += ((focused ? 1.5 : 1) - state.ringScale) * 0.2;
+    writeInstances(anchor, camera);
+  }
+  for (let b = 0; b < frame.batches.length; b++) commitBatch(frame.batches[b]);
+
+  // Torus line opacity
+  const lineMat = frame.lineMaterial;
+  if (lineMat) {
+    const target = !activeKey ? 1 : focus?.userData.depth === 1 ? 0.1 : 0.04;
+    lineMat.opacity += (target - lineMat.opacity) * 0.04;
+    lineMat.color.lerp(lineMat.userData.targetColor, 0.05);
+  }
+
+  // Constellation arcs follow their ends; an arc shows while both ends
+  // do, and stands out when one of them is on the active path (or the
+  // pointer is over it)
+  for (let a = 0; a < frame.arcs.length; a++) {
+    const line = frame.arcs[a];
+    const { from, to } = line.userData;
+    writeArc(line);
+    const lit =
+      onActivePath(from.userData.key, activeKey) ||
+      onActivePath(to.userData.key, activeKey) ||
+      frame.hoverArc === line;
+    const targetOpacity =
+      frame.showConstellation && from.visible && to.visible
+        ? lit
+          ? 0.9
+          : 0.3
+        : 0;
+    line.material.opacity += (targetOpacity - line.material.opacity) * 0.08;
+    line.material.color.lerp(line.material.userData.targetColor, 0.05);
+
+    // Hard cutoff — actually hide when nearly invisible
+    line.visible = line.material.opacity > 0.01;
+  }
+
+  // Preview the node under the pointer (or long-pressed, or picked with
+  // the arrow keys) while it's showing, or else the arc under the
+  // pointer, at its middle
+  const { hover, width, height } = frame;
+  const previewKey = anim.active ? null : (frame.hoverKey ?? focusedKey);
+  const preview = previewKey && byKey.get(previewKey);
+  const arc = anim.active ? null : frame.hoverArc;
+  hover.path = null;
+  hover.edge = null;
+  if (preview?.userData.opacity > 0.3) {
+    hover.path = preview.userData.path;
+    projectToScreen(preview.position, camera, width, height, hover);
+  } else if (arc?.material.opacity > 0.1) {
+    hover.edge = arc.userData.edge;
+    projectToScreen(
+      _arcPoint.fromBufferAttribute(
+        arc.geometry.attributes.position,
+        ARC_SEGMENTS / 2,
+      ),
+      camera,
+      width,
+      height,
+      hover,
+    );
+  }
+
+  // Screen positions of the focused node's moons. A moon behind the
+  // (enlarged) focused sphere fades its label out of sight with it.
+  frame.moonCount = 0;
+  if (focus?.userData.hasChildren) {
+    const focusRadius = focus.userData.radius * focus.scale.x;
+    for (let n = 0; n < nodes.length; n++) {
+      const sub = nodes[n];
+      const state = sub.userData;
+      if (state.parentKey !== activeKey) continue;
+      const hidden = hiddenBehind(
+        sub.position,
+        focus.position,
+        focusRadius,
+        camera.position,
+      );
+      state.labelVisibility +=
+        ((hidden ? 0 : 1) - state.labelVisibility) * 0.15;
+      // The pool grows to the most moons any node has, once
+      const moon = (frame.moons[frame.moonCount] ??= {
+        x: 0,
+        y: 0,
+        z: 0,
+        opacity: 0,
+      });
+      projectToScreen(sub.position, camera, width, height, moon);
+      moon.opacity = state.opacity * state.labelVisibility;
+      frame.moonCount++;
+    }
+  }
+}
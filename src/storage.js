@@ -0,0 +1,23 @@
+// ============================================================
+// STORAGE
+// ============================================================
+// Preferences remembered across visits. Storage can be blocked (cookies
+// off, some private or embedded contexts), where even touching
+// localStorage throws; then nothing is remembered and defaults apply.
+// ============================================================
+
+export function readStored(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+export function writeStored(key, value) {
+  try {
+    window.localStorage.setItem(key, value);
+  } catch {
+    // Blocked or full; the choice still holds for this visit
+  }
+}
@@ -0,0 +1,77 @@
+import * as THREE from "three";
+
+// ============================================================
+// THEMES
+// ============================================================
+// One object per theme, read by the Three.js scene (as colors) and by the
+// DOM overlays (as CSS custom properties, see themeVars). Section colors
+// come from content; accent() maps them into the theme.
+// ============================================================
+
+// Dark pages flip a section color's lightness, so the grayscale ramp keeps
+// its order of contrast against the background
+function invertLightness(hex) {
+  const color = new THREE.Color(hex);
+  const { h, s, l } = color.getHSL({}, THREE.SRGBColorSpace);
+  return `#${color.setHSL(h, s, 1 - l, THREE.SRGBColorSpace).getHexString()}`;
+}
+
+export const THEMES = {
+  light: {
+    scheme: "light",
+    background: "#f8f8f8",
+    surface: "#ffffff", // panels and menus, drawn translucent
+    ink: "#000000", // hairlines and hover washes, drawn translucent
+    text: "#1a1a1a",
+    body: "#444444",
+    subtle: "#666666",
+    muted: "#888888",
+    faint: "#aaaaaa",
+    onAccent: "#ffffff",
+    error: "#b3261e",
+    torus: "#1a1a1a",
+    constellation: "#ff3333",
+    moonShade: "#000000", // moons are their section color nudged toward this
+    accent: (hex) => hex,
+  },
+  dark: {
+    scheme: "dark",
+    background: "#121212",
+    surface: "#1e1e20",
+    ink: "#ffffff",
+    text: "#ececec",
+    body: "#bdbdbd",
+    subtle: "#a0a0a0",
+    muted: "#8a8a8a",
+    faint: "#6a6a6a",
+    onAccent: "#121212",
+    error: "#f2b8b5",
+    torus: "#e0e0e0",
+    constellation: "#ff6b6b",
+    moonShade: "#ffffff",
+    accent: invertLightness,
+  },
+};
+
+function rgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return `${n >> 16}, ${(n >> 8) & 255}, ${n & 255}`;
+}
+
+// Custom properties for the overlays. *-rgb variants take an alpha:
+// rgba(var(--surface-rgb), 0.95)
+export function themeVars(theme) {
+  return {
+    "--bg": theme.background,
+    "--bg-rgb": rgb(theme.background),
+    "--surface-rgb": rgb(theme.surface),
+    "--ink-rgb": rgb(theme.ink),
+    "--text": theme.text,
+    "--text-body": theme.body,
+    "--text-subtle": theme.subtle,
+    "--text-muted": theme.muted,
+    "--text-faint": theme.faint,
+    "--on-accent": theme.onAccent,
+    "--error": theme.error,
+  };
+}
@@ -0,0 +1,95 @@
+import * as THREE from "three";
+
+// ============================================================
+// TORUS SPIRAL
+// ============================================================
+// The spiral the sections ride, and a lookup table for reading positions
+// off it every frame. CatmullRomCurve3.getPointAt re-walks the curve's arc
+// lengths on each call and returns a new Vector3; the table samples the
+// curve once at even arc-length steps, and sampleTorus interpolates between
+// samples into vectors the caller owns.
+// ============================================================
+
+// Samples around the loop. At the default torus, interpolated points stay
+// within about a thousandth of a unit of getPointAt (a sphere's radius is
+// 0.09); building the table takes a few tens of milliseconds.
+export const TORUS_SAMPLES = 4096;
+
+// -- Parametric Torus Math --
+// Settings come from content/scene.json (SCENE.torus)
+export function generateTorusPoints({ radius, minorRadius, sections, spans }) {
+  function gcd(a, b) {
+    while (b) {
+      [a, b] = [b, a % b];
+    }
+    return a;
+  }
+  const stepsToClose = (sections * spans) / gcd(sections, spans);
+  const rawPoints = [];
+  for (let i = 0; i < stepsToClose; i++) {
+    const u = (i / sections) * Math.PI * 2;
+    const t = (i / spans) * Math.PI * 2;
+    const x = (radius + minorRadius * Math.cos(t)) * Math.cos(u);
+    const y = minorRadius * Math.sin(t);
+    const z = (radius + minorRadius * Math.cos(t)) * Math.sin(u);
+    rawPoints.push(new THREE.Vector3(x, y, z));
+  }
+  const curve = new THREE.CatmullRomCurve3(rawPoints, true, "catmullrom", 0.5);
+  return { points: curve.getPoints(stepsToClose * 8), curve };
+}
+
+// Position and unit tangent at each sample, six floats apiece
+export function createTorusTable(curve, samples = TORUS_SAMPLES) {
+  const table = new Float32Array(samples * 6);
+  const point = new THREE.Vector3();
+  const tangent = new THREE.Vector3();
+  for (let i = 0; i < samples; i++) {
+    curve.getPointAt(i / samples, point);
+    curve.getTangentAt(i / samples, tangent);
+    point.toArray(table, i * 6);
+    tangent.toArray(table, i * 6 + 3);
+  }
+  return table;
+}
+
+// Point (and, given a vector for it, direction of travel) at `progress`
+// along the loop; any number wraps into [0, 1). Writes into `position`
+// and returns it.
+export function sampleTorus(table, progress, position, tangent) {
+  const samples = table.length / 6;
+  const f = (((progress % 1) + 1) % 1) * samples;
+  const i = Math.floor(f);
+  const w = f - i;
+  const a = (i % samples) * 6;
+  const b = ((i + 1) % samples) * 6;
+  position.set(
+    table[a] + (table[b] - table[a]) * w,
+    table[a + 1] + (table[b + 1] - table[a + 1]) * w,
+    table[a + 2] + (table[b + 2] - table[a + 2]) * w,
+  );
+  if (tangent)
+    tangent
+      .set(
+        table[a + 3] + (table[b + 3] - table[a + 3]) * w,
+        table[a + 4] + (table[b + 4] - table[a + 4]) * w,
+        table[a + 5] + (table[b + 5] - table[a + 5]) * w,
+      )
+      .normalize();
+  return position;
+}
+
+// Length of the loop, summed over the samples
+export function torusLength(table) {
+  const samples = table.length / 6;
+  let length = 0;
+  for (let i = 0; i < samples; i++) {
+    const a = i * 6;
+    const b = ((i + 1) % samples) * 6;
+    length += Math.hypot(
+      table[b] - table[a],
+      table[b + 1] - table[a + 1],
+      table[b + 2] - table[a + 2],
+    );
+  }
+  return length;
+}
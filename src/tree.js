@@ -0,0 +1,66 @@
+import { SECTIONS } from "./content.js";
+import { localized } from "./i18n.js";
+
+// ============================================================
+// CONTENT TREE
+// ============================================================
+// Paths, labels and link types of the nodes in SECTIONS, shared by the
+// scene and the overlays.
+// ============================================================
+
+// Sections are the top of a recursive tree: any link may carry its own
+// `links`, which orbit it as moons. Navigation state is the path of ids
+// from the top down to the focused node — [] is the overview,
+// ["dev", "projects", "portfolio-site"] a moon of a moon.
+export function resolvePath(path, sections = SECTIONS) {
+  const nodes = [];
+  let children = sections;
+  for (const id of path) {
+    const node = children?.find((n) => n.id === id);
+    if (!node) break;
+    nodes.push(node);
+    children = node.links;
+  }
+  return nodes;
+}
+
+// Sections have a label, links a title
+export function nodeLabel(node) {
+  return localized(node, "label") ?? localized(node, "title");
+}
+
+export function isPathPrefix(prefix, path) {
+  return (
+    prefix.length <= path.length && prefix.every((id, i) => path[i] === id)
+  );
+}
+
+export function samePath(a, b) {
+  return a.length === b.length && isPathPrefix(a, b);
+}
+
+// -- Link types --
+// "content" links open the LinkPanel; the others point outside the site,
+// either through a call-to-action in the panel or straight from a click
+// when the link sets openDirectly. The default call-to-action label is the
+// UI string cta.<type>.
+const OUTBOUND_LINKS = {
+  external: { icon: "↗" },
+  mailto: { icon: "✉" },
+  download: { icon: "↓" },
+};
+
+export function outbound(link) {
+  return OUTBOUND_LINKS[link?.type] || null;
+}
+
+export function openOutbound(link) {
+  if (link.type === "external") {
+    window.open(link.url, "_blank", "noopener");
+    return;
+  }
+  const a = document.createElement("a");
+  a.href = link.url;
+  if (link.type === "download") a.download = "";
+  a.click();
+}
@@ -1,7 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import contactMock from './plugins/contact-mock.js'
+import portfolioContent from './plugins/content.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), portfolioContent(), contactMock()],
 })